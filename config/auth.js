@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+dotenv.config();
+
+// Email verification codes for new accounts
+export const VERIFICATION_CODE_TTL_MINUTES = 10;
+// Wrong codes allowed before a new code has to be requested
+export const MAX_VERIFICATION_ATTEMPTS = 5;
+// Wait between two verification emails to the same address
+export const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+// Verification emails sent for one registration, including the first
+export const MAX_VERIFICATION_SENDS = 5;
+// Unverified registrations are dropped after this long
+export const PENDING_REGISTRATION_TTL_HOURS = numberFromEnv('PENDING_REGISTRATION_TTL_HOURS', 24);
+
+// Password reset links
+export const PASSWORD_RESET_TTL_MINUTES = 30;
+// Wait between two reset emails to the same address
+export const PASSWORD_RESET_COOLDOWN_SECONDS = 60;
+// Reset emails one address can get per window
+export const MAX_PASSWORD_RESET_REQUESTS = 5;
+export const PASSWORD_RESET_WINDOW_HOURS = 24;
+// Page of the storefront that takes the token from the link
+export const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL ||
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password`;
+
+// Access tokens are short lived; the refresh token in its own cookie gets a
+// new one and is swapped for a fresh refresh token every time it is used
+export const ACCESS_TOKEN_TTL_MINUTES = numberFromEnv('ACCESS_TOKEN_TTL_MINUTES', 15);
+// A session ends this long after login, however often it is refreshed
+export const REFRESH_TOKEN_TTL_DAYS = numberFromEnv('REFRESH_TOKEN_TTL_DAYS', 30);
+// How often a session's last seen time is written while it is in use
+export const SESSION_TOUCH_INTERVAL_MINUTES = 5;
+
+// Two-factor authentication with an authenticator app (TOTP)
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'RangLeela';
+// Codes from this many 30 second steps either side of now are accepted, for clock drift
+export const TOTP_WINDOW = 1;
+export const RECOVERY_CODE_COUNT = 10;
+// Time to enter the code after the password at login
+export const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
@@ -0,0 +1,38 @@
+import { numberFromEnv } from './env.js';
+
+// Couriers we hand parcels to. trackingUrl is the public tracking page,
+// with {awb} replaced by the tracking number; admins can give their own
+// link for carriers without one.
+export const CARRIERS = {
+  delhivery: {
+    name: 'Delhivery',
+    trackingUrl: 'https://www.delhivery.com/track/package/{awb}'
+  },
+  bluedart: {
+    name: 'Blue Dart',
+    trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={awb}'
+  },
+  dtdc: {
+    name: 'DTDC',
+    trackingUrl: null
+  },
+  xpressbees: {
+    name: 'Xpressbees',
+    trackingUrl: 'https://www.xpressbees.com/shipment/tracking?awbNo={awb}'
+  },
+  india_post: {
+    name: 'India Post',
+    trackingUrl: null
+  },
+  shiprocket: {
+    name: 'Shiprocket',
+    trackingUrl: 'https://shiprocket.co/tracking/{awb}'
+  },
+  other: {
+    name: 'Other',
+    trackingUrl: null
+  }
+};
+
+// Days a parcel usually takes, used when the admin gives no expected delivery date
+export const DEFAULT_TRANSIT_DAYS = numberFromEnv('DEFAULT_TRANSIT_DAYS', 5);
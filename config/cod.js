@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+import { numberFromEnv, listFromEnv } from './env.js';
+
+dotenv.config();
+
+export const COD_ENABLED = process.env.COD_ENABLED !== 'false';
+
+// Handling fee added to cash on delivery orders (rupees)
+export const COD_FEE = numberFromEnv('COD_FEE', 49);
+
+// Largest order total, including the fee, that can be paid in cash
+export const COD_MAX_ORDER_VALUE = numberFromEnv('COD_MAX_ORDER_VALUE', 10000);
+
+// Shipping zones (see config/shipping.js) where couriers do not collect cash
+export const COD_EXCLUDED_ZONES = listFromEnv('COD_EXCLUDED_ZONES', ['remote']);
+
+// Pincode prefixes where cash on delivery is not offered
+export const COD_BLOCKED_PINCODE_PREFIXES = listFromEnv('COD_BLOCKED_PINCODE_PREFIXES');
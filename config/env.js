@@ -0,0 +1,16 @@
+// Helpers for reading settings overrides from the environment
+
+// Read a number (e.g. a rupee amount or a rate) from the environment
+export const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Read a comma separated list from the environment
+export const listFromEnv = (name, fallback = []) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name]
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
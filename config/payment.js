@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import { createRazorpayProvider } from '../utils/paymentProviders/razorpay.js';
+import { createMockProvider } from '../utils/paymentProviders/mock.js';
+
+dotenv.config();
+
+const providers = {
+  razorpay: createRazorpayProvider(),
+  mock: createMockProvider()
+};
+
+// PAYMENT_PROVIDER picks the gateway for new orders: razorpay (default) or mock,
+// which runs checkout fully offline. RAZORPAY_MOCK=true is kept as a shorthand for mock.
+const activeName = process.env.PAYMENT_PROVIDER ||
+  (process.env.RAZORPAY_MOCK === 'true' ? 'mock' : 'razorpay');
+
+if (!providers[activeName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${activeName}`);
+}
+
+// The mock signs with well-known secrets and lets anyone "pay", so it must never
+// take real orders
+if (activeName === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('The mock payment provider cannot be used in production');
+}
+
+export const paymentProvider = providers[activeName];
+
+// The provider that handled an order; orders from before providers were recorded used Razorpay
+export const getPaymentProvider = (name = 'razorpay') => {
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return providers[name];
+};
+
+export default paymentProvider;
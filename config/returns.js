@@ -0,0 +1,10 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+dotenv.config();
+
+// Days after delivery during which a customer can ask to return items
+export const RETURN_WINDOW_DAYS = numberFromEnv('RETURN_WINDOW_DAYS', 7);
+
+// Most photos a customer can attach to a return request
+export const MAX_RETURN_PHOTOS = 3;
@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Staff roles. Customers have no role.
+export const ROLES = ['owner', 'catalog_manager', 'support_agent', 'fulfilment'];
+
+export const PERMISSIONS = [
+  'analytics:read',
+  'orders:read',
+  'orders:update',
+  'orders:ship',
+  'orders:refund',
+  'returns:read',
+  // Mark returned parcels as received and send out exchanges
+  'returns:receive',
+  // Approve, reject and refund returns, on top of returns:receive
+  'returns:manage',
+  'products:read',
+  'products:write',
+  'products:purge',
+  'inventory:manage',
+  'coupons:manage',
+  'contacts:read',
+  'contacts:reply',
+  'hero_images:manage',
+  'users:read',
+  'roles:manage'
+];
+
+// What each role may do. Owners can do everything.
+export const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  catalog_manager: [
+    'analytics:read',
+    'products:read',
+    'products:write',
+    'inventory:manage',
+    'coupons:manage',
+    'hero_images:manage'
+  ],
+  support_agent: [
+    'orders:read',
+    'orders:refund',
+    'returns:read',
+    'returns:manage',
+    'products:read',
+    'contacts:read',
+    'contacts:reply',
+    'users:read'
+  ],
+  fulfilment: [
+    'orders:read',
+    'orders:update',
+    'orders:ship',
+    'returns:read',
+    'returns:receive',
+    'products:read',
+    'inventory:manage'
+  ]
+};
+
+// Accounts made owners at startup if they have no role yet, so a new
+// deployment is never left without someone who can assign roles
+export const BOOTSTRAP_OWNER_EMAILS = process.env.ADMIN_EMAILS
+  ? process.env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+  : [];
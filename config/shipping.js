@@ -0,0 +1,59 @@
+import dotenv from 'dotenv';
+import { SELLER_STATE } from './tax.js';
+import { numberFromEnv, listFromEnv } from './env.js';
+
+dotenv.config();
+
+// Orders whose item value after discounts reaches this amount ship free (0 turns it off)
+export const FREE_SHIPPING_THRESHOLD = numberFromEnv('FREE_SHIPPING_THRESHOLD', 1999);
+
+// Rates are charged per started slab of this many grams
+export const WEIGHT_SLAB_GRAMS = 500;
+
+// Couriers bill the greater of actual and volumetric weight, where
+// volumetric kg = length x width x height (cm) / this divisor
+export const VOLUMETRIC_DIVISOR = 5000;
+
+// Shipping zones, checked in order against the delivery pincode and state.
+// baseRate covers the first weight slab and additionalRate each slab after it.
+// The last zone has no conditions and catches everything else.
+export const SHIPPING_ZONES = [
+  {
+    name: 'local',
+    pincodePrefixes: listFromEnv('SHIPPING_LOCAL_PINCODE_PREFIXES'),
+    states: SELLER_STATE ? [SELLER_STATE] : [],
+    baseRate: numberFromEnv('SHIPPING_LOCAL_BASE_RATE', 40),
+    additionalRate: numberFromEnv('SHIPPING_LOCAL_ADDITIONAL_RATE', 20)
+  },
+  {
+    // North East, Sikkim, Jammu & Kashmir, Ladakh and the islands
+    name: 'remote',
+    pincodePrefixes: ['18', '19', '737', '744', '78', '79', '682555'],
+    states: [],
+    baseRate: numberFromEnv('SHIPPING_REMOTE_BASE_RATE', 120),
+    additionalRate: numberFromEnv('SHIPPING_REMOTE_ADDITIONAL_RATE', 60)
+  },
+  {
+    name: 'national',
+    pincodePrefixes: [],
+    states: [],
+    baseRate: numberFromEnv('SHIPPING_NATIONAL_BASE_RATE', 70),
+    additionalRate: numberFromEnv('SHIPPING_NATIONAL_ADDITIONAL_RATE', 35)
+  }
+];
+
+// Extra handling charge per unit for each shipping class
+export const SHIPPING_CLASS_SURCHARGE = {
+  standard: 0,
+  oversized: numberFromEnv('SHIPPING_OVERSIZED_SURCHARGE', 80),
+  fragile: numberFromEnv('SHIPPING_FRAGILE_SURCHARGE', 150)
+};
+
+// Used for products without their own weight (grams) or shipping class
+export const CATEGORY_SHIPPING_DEFAULTS = {
+  painting: { weight: 2000, shippingClass: 'fragile' },
+  apparel: { weight: 300, shippingClass: 'standard' },
+  accessories: { weight: 250, shippingClass: 'standard' }
+};
+
+export const DEFAULT_SHIPPING = { weight: 500, shippingClass: 'standard' };
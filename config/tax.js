@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+dotenv.config();
+
+// State the business is registered in. Orders shipped within it are charged
+// CGST + SGST; everything else is inter-state and charged IGST.
+export const SELLER_STATE = process.env.SELLER_STATE || '';
+
+// Seller details printed on tax invoices
+export const SELLER = {
+  name: process.env.SELLER_NAME || 'RangLeela',
+  gstin: process.env.SELLER_GSTIN || '',
+  address: process.env.SELLER_ADDRESS || '',
+  state: SELLER_STATE,
+  email: process.env.SELLER_EMAIL || 'rangleela0506@gmail.com'
+};
+
+// Prefix for invoice numbers, e.g. RL/2025-26/00042
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'RL';
+
+// GST by product category. Slabs are checked in order against the taxable value
+// of a single unit; the last slab has no upper limit.
+export const CATEGORY_TAX = {
+  painting: {
+    hsnCode: process.env.HSN_PAINTING || '9701',
+    slabs: [{ rate: numberFromEnv('GST_RATE_PAINTING', 12) }]
+  },
+  apparel: {
+    hsnCode: process.env.HSN_APPAREL || '6109',
+    slabs: [
+      { upTo: 1000, rate: numberFromEnv('GST_RATE_APPAREL_LOW', 5) },
+      { rate: numberFromEnv('GST_RATE_APPAREL', 12) }
+    ]
+  },
+  accessories: {
+    hsnCode: process.env.HSN_ACCESSORIES || '4202',
+    slabs: [{ rate: numberFromEnv('GST_RATE_ACCESSORIES', 18) }]
+  }
+};
+
+// Used for any category missing from the table above
+export const DEFAULT_TAX = {
+  hsnCode: '',
+  slabs: [{ rate: numberFromEnv('GST_RATE_DEFAULT', 18) }]
+};
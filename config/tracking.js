@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { createStubTracker } from '../utils/trackers/stub.js';
+
+dotenv.config();
+
+const trackers = {
+  stub: createStubTracker()
+};
+
+// SHIPMENT_TRACKER picks the adapter that reports where shipments are, when an
+// admin refreshes an order's tracking. Only the offline stub ships today; a
+// carrier or aggregator API plugs in here with the same track() method, and a
+// background poll can be added once one does. The stub makes up journeys, so
+// production only uses it when it is asked for by name; otherwise tracking is
+// off there.
+const activeName = process.env.SHIPMENT_TRACKER ||
+  (process.env.NODE_ENV === 'production' ? null : 'stub');
+
+if (activeName && !trackers[activeName]) {
+  throw new Error(`Unknown SHIPMENT_TRACKER: ${activeName}`);
+}
+
+// null when tracking is off
+export const shipmentTracker = activeName ? trackers[activeName] : null;
+
+export default shipmentTracker;
@@ -1,10 +1,21 @@
 
 import { Resend } from 'resend';
 import dotenv from 'dotenv';
+import { invoiceFilename } from './utils/invoice.js';
+import { orderItemName } from './utils/orderItems.js';
+import { CARRIERS } from './config/carriers.js';
 dotenv.config();
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+// Escape text typed by customers before putting it in an email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 export const sendContactReply = async ({ to, name, subject, reply }) => {
   const html = `
     <!DOCTYPE html>
@@ -194,16 +205,105 @@ export const sendWelcomeEmail = async (email, name) => {
   }
 };
 
-export const sendOrderConfirmationEmail = async (email, name, order) => {
+export const sendPasswordResetEmail = async (email, name, resetUrl, expiresInMinutes) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Reset Your Password</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+        .header h1 { color: white; margin: 0; font-size: 28px; font-weight: 600; }
+        .content { padding: 40px 20px; }
+        .reset-box { background-color: #f1f5f9; border-radius: 12px; padding: 30px; text-align: center; margin: 30px 0; }
+        .reset-button { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; border-radius: 50px; display: inline-block; font-weight: 600; text-decoration: none; }
+        .footer { background-color: #f8fafc; padding: 20px; text-align: center; color: #64748b; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🎨 RangLeela</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${escapeHtml(name)},</h2>
+          <p>We received a request to reset the password for your RangLeela account. Use the button below to choose a new one:</p>
+
+          <div class="reset-box">
+            <a class="reset-button" href="${escapeHtml(resetUrl)}">Reset Password</a>
+            <p style="margin: 15px 0 0 0; color: #64748b; font-size: 14px;">This link expires in ${expiresInMinutes} minutes and can only be used once</p>
+          </div>
+
+          <p style="color: #64748b; font-size: 14px;">If the button does not work, copy this link into your browser:<br>${escapeHtml(resetUrl)}</p>
+          <p>If you didn't ask to reset your password, you can ignore this email. Your password will stay the same.</p>
+          <p>For any assistance, please contact us at rangleela0506@gmail.com</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} RangLeela. All rights reserved.</p>
+          <p style="color: #64748b; font-size: 12px;">This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: email,
+      subject: 'Reset Your Password - RangLeela',
+      html,
+    });
+
+    if (error) {
+      console.error('Password reset email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error sending password reset email:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+export const sendOrderConfirmationEmail = async (email, name, order, { invoicePdf } = {}) => {
   const itemsList = order.items.map(item => `
     <tr>
-      <td style="padding: 10px; border-bottom: 1px solid #e2e8f0;">${item.product.name}</td>
+      <td style="padding: 10px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(orderItemName(item))}${item.hsnCode ? `<br><span style="color: #64748b; font-size: 12px;">HSN ${item.hsnCode}</span>` : ''}</td>
       <td style="padding: 10px; border-bottom: 1px solid #e2e8f0; text-align: center;">${item.quantity}</td>
       <td style="padding: 10px; border-bottom: 1px solid #e2e8f0; text-align: right;">₹${item.price}</td>
+      <td style="padding: 10px; border-bottom: 1px solid #e2e8f0; text-align: right;">${item.taxRate != null ? `${item.taxRate}%` : '-'}</td>
       <td style="padding: 10px; border-bottom: 1px solid #e2e8f0; text-align: right;">₹${(item.price * item.quantity).toFixed(2)}</td>
     </tr>
   `).join('');
 
+  const isCod = order.paymentMethod === 'cod';
+
+  // Orders placed before the GST breakdown only have a total
+  const summaryRow = (label, amount) => `
+    <tr>
+      <td colspan="4" style="padding: 10px; text-align: right;">${label}</td>
+      <td style="padding: 10px; text-align: right;">${amount}</td>
+    </tr>
+  `;
+  const taxSummary = order.taxAmount != null ? [
+    summaryRow('Subtotal:', `₹${order.subtotal.toFixed(2)}`),
+    order.discountAmount > 0
+      ? summaryRow(`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}:`, `-₹${order.discountAmount.toFixed(2)}`)
+      : '',
+    summaryRow('Taxable Value:', `₹${order.taxableAmount.toFixed(2)}`),
+    order.isInterState
+      ? summaryRow('IGST:', `₹${order.taxBreakdown.igst.toFixed(2)}`)
+      : summaryRow('CGST:', `₹${order.taxBreakdown.cgst.toFixed(2)}`) + summaryRow('SGST:', `₹${order.taxBreakdown.sgst.toFixed(2)}`),
+    summaryRow('Shipping:', order.shippingCost > 0 ? `₹${order.shippingCost.toFixed(2)}` : 'Free'),
+    order.codFee > 0 ? summaryRow('Cash on Delivery Fee:', `₹${order.codFee.toFixed(2)}`) : ''
+  ].join('') : '';
+
   const html = `
     <!DOCTYPE html>
     <html>
@@ -231,14 +331,16 @@ export const sendOrderConfirmationEmail = async (email, name, order) => {
         </div>
         <div class="content">
           <h2>Dear ${name},</h2>
-          <p>Thank you for your order! We're excited to let you know that your payment has been received and your order is being processed.</p>
+          <p>${isCod
+            ? 'Thank you for your order! It has been confirmed and will be paid in cash when it is delivered.'
+            : "Thank you for your order! We're excited to let you know that your payment has been received and your order is being processed."}</p>
           
           <div class="order-details">
             <h3>Order Details</h3>
             <p><strong>Order ID:</strong> #${order._id.toString().slice(-8).toUpperCase()}</p>
             <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-            <p><strong>Payment Status:</strong> Paid</p>
-            <p><strong>Amount Received:</strong> ₹${order.totalAmount.toFixed(2)}</p>
+            <p><strong>Payment Status:</strong> ${isCod ? 'Cash on Delivery' : 'Paid'}</p>
+            <p><strong>${isCod ? 'Amount Due on Delivery' : 'Amount Received'}:</strong> ₹${order.totalAmount.toFixed(2)}</p>
           </div>
 
           <h3>Items Purchased</h3>
@@ -248,13 +350,15 @@ export const sendOrderConfirmationEmail = async (email, name, order) => {
                 <th>Item</th>
                 <th style="text-align: center;">Quantity</th>
                 <th style="text-align: right;">Price</th>
+                <th style="text-align: right;">GST</th>
                 <th style="text-align: right;">Total</th>
               </tr>
             </thead>
             <tbody>
               ${itemsList}
+              ${taxSummary}
               <tr class="total-row">
-                <td colspan="3" style="padding: 15px; text-align: right;">Total Amount:</td>
+                <td colspan="4" style="padding: 15px; text-align: right;">Total Amount:</td>
                 <td style="padding: 15px; text-align: right;">₹${order.totalAmount.toFixed(2)}</td>
               </tr>
             </tbody>
@@ -287,6 +391,12 @@ export const sendOrderConfirmationEmail = async (email, name, order) => {
       to: email,
       subject: `Thanks for your purchase! - Order #${order._id.toString().slice(-8).toUpperCase()}`,
       html,
+      ...(invoicePdf && {
+        attachments: [{
+          filename: invoiceFilename(order),
+          content: invoicePdf
+        }]
+      })
     });
 
     if (error) {
@@ -301,6 +411,100 @@ export const sendOrderConfirmationEmail = async (email, name, order) => {
   }
 };
 
+// Let the customer know their order is on its way. shipment is optional:
+// orders marked shipped without carrier details get the email without tracking.
+export const sendShippedEmail = async (email, name, order, shipment) => {
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+  const carrierName = shipment ? (CARRIERS[shipment.carrier]?.name || shipment.carrier) : '';
+  const isPartial = order.status === 'partially_shipped';
+
+  // Name the items in this parcel when the order ships in more than one
+  const parcelItems = shipment && shipment.items.length > 0 && (isPartial || order.shipments.length > 1)
+    ? shipment.items.map(itemId => order.items.id(itemId)).filter(Boolean)
+    : [];
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Order Shipped</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; }
+        .header { background: linear-gradient(135deg, #0ea5e9 0%, #2563eb 100%); padding: 40px 20px; text-align: center; }
+        .header h1 { color: white; margin: 0; font-size: 28px; font-weight: 600; }
+        .content { padding: 40px 20px; }
+        .order-details { background-color: #f8fafc; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .track-button { background: linear-gradient(135deg, #0ea5e9 0%, #2563eb 100%); color: white; padding: 12px 28px; border-radius: 50px; display: inline-block; font-weight: 600; text-decoration: none; }
+        .footer { background-color: #f8fafc; padding: 20px; text-align: center; color: #64748b; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🚚 Your Order is on its Way!</h1>
+        </div>
+        <div class="content">
+          <h2>Dear ${name},</h2>
+          <p>Good news! ${isPartial ? 'Part of your order' : 'Your order'} <strong>#${orderNumber}</strong> has been shipped.</p>
+
+          ${shipment ? `
+          <div class="order-details">
+            <h3>Shipment Details</h3>
+            <p><strong>Carrier:</strong> ${escapeHtml(carrierName)}</p>
+            <p><strong>Tracking Number:</strong> ${escapeHtml(shipment.awb)}</p>
+            <p><strong>Shipped On:</strong> ${new Date(shipment.shippedAt).toLocaleDateString('en-IN')}</p>
+            ${shipment.expectedDeliveryAt ? `<p><strong>Expected Delivery:</strong> ${new Date(shipment.expectedDeliveryAt).toLocaleDateString('en-IN')}</p>` : ''}
+            ${parcelItems.length > 0 ? `
+            <p><strong>In this parcel:</strong></p>
+            <ul>${parcelItems.map(item => `<li>${escapeHtml(orderItemName(item))} &times; ${item.quantity}</li>`).join('')}</ul>
+            ` : ''}
+          </div>
+          ${shipment.trackingUrl ? `
+          <div style="text-align: center; margin: 20px 0;">
+            <a class="track-button" href="${escapeHtml(shipment.trackingUrl)}">Track your parcel</a>
+          </div>
+          ` : ''}
+          ` : ''}
+
+          ${isPartial ? '<p>The rest of your items will follow in a separate parcel; we will email you when they ship.</p>' : ''}
+          ${order.paymentMethod === 'cod'
+            ? `<p>Please keep ₹${order.totalAmount.toFixed(2)} ready to pay the courier on delivery.</p>`
+            : ''}
+          <p>You can follow your order any time from "My Orders" in your account.</p>
+          <p>For any queries, please contact us at rangleela0506@gmail.com</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} RangLeela. All rights reserved.</p>
+          <p style="color: #64748b; font-size: 12px;">This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: email,
+      subject: `Your Order Has Shipped! - #${orderNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Shipped email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
 export const sendDeliveryEmail = async (email, name, order) => {
   const html = `
     <!DOCTYPE html>
@@ -372,3 +576,405 @@ export const sendDeliveryEmail = async (email, name, order) => {
     return { success: false, error: err.message };
   }
 };
+
+export const sendRefundEmail = async (email, name, order, refund) => {
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+  const isFullRefund = order.status === 'refunded';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Refund Issued</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+        .header h1 { color: white; margin: 0; font-size: 28px; font-weight: 600; }
+        .content { padding: 40px 20px; }
+        .order-details { background-color: #f8fafc; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #f8fafc; padding: 20px; text-align: center; color: #64748b; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>💸 Refund Issued</h1>
+        </div>
+        <div class="content">
+          <h2>Dear ${name},</h2>
+          <p>We've issued a ${isFullRefund ? 'full' : 'partial'} refund for your order <strong>#${orderNumber}</strong>.</p>
+
+          <div class="order-details">
+            <h3>Refund Details</h3>
+            <p><strong>Refund Amount:</strong> ₹${refund.amount.toFixed(2)}</p>
+            <p><strong>Refund Reference:</strong> ${escapeHtml(refund.razorpayRefundId)}</p>
+            ${refund.reason ? `<p><strong>Reason:</strong> ${escapeHtml(refund.reason)}</p>` : ''}
+            <p><strong>Order Total:</strong> ₹${order.totalAmount.toFixed(2)}</p>
+          </div>
+
+          <p>The amount will be credited to your original payment method. Depending on your bank, this usually takes 5-7 working days.</p>
+          <p>For any queries about your refund, please contact us at rangleela0506@gmail.com</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} RangLeela. All rights reserved.</p>
+          <p style="color: #64748b; font-size: 12px;">This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: email,
+      subject: `Refund Issued - Order #${orderNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Refund email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+export const sendOrderCancelledEmail = async (email, name, order, refund) => {
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+  const lastEntry = order.statusHistory[order.statusHistory.length - 1];
+  const reason = lastEntry && lastEntry.status === 'cancelled' ? lastEntry.note : '';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Order Cancelled</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; }
+        .header { background: linear-gradient(135deg, #64748b 0%, #334155 100%); padding: 40px 20px; text-align: center; }
+        .header h1 { color: white; margin: 0; font-size: 28px; font-weight: 600; }
+        .content { padding: 40px 20px; }
+        .order-details { background-color: #f8fafc; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #f8fafc; padding: 20px; text-align: center; color: #64748b; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Order Cancelled</h1>
+        </div>
+        <div class="content">
+          <h2>Dear ${name},</h2>
+          <p>Your order <strong>#${orderNumber}</strong> has been cancelled.</p>
+
+          <div class="order-details">
+            <h3>Cancellation Details</h3>
+            <p><strong>Order Total:</strong> ₹${order.totalAmount.toFixed(2)}</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            ${refund ? `
+            <p><strong>Refund Amount:</strong> ₹${refund.amount.toFixed(2)}</p>
+            <p><strong>Refund Reference:</strong> ${escapeHtml(refund.razorpayRefundId)}</p>
+            ` : ''}
+          </div>
+
+          ${refund
+            ? '<p>The refund will be credited to your original payment method. Depending on your bank, this usually takes 5-7 working days.</p>'
+            : order.razorpayPaymentId
+              ? '<p>Your refund is being arranged and we will email you once it has been issued.</p>'
+              : '<p>No payment was taken for this order.</p>'}
+          <p>For any queries, please contact us at rangleela0506@gmail.com</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} RangLeela. All rights reserved.</p>
+          <p style="color: #64748b; font-size: 12px;">This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: email,
+      subject: `Order Cancelled - Order #${orderNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Order cancellation email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// Let the admins know a customer cancelled an order
+export const sendAdminOrderCancelledEmail = async (adminEmails, order, { reason, refundError } = {}) => {
+  if (adminEmails.length === 0) return { success: true };
+
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Order Cancelled by Customer</title>
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b;">
+      <h2>Order #${orderNumber} was cancelled by the customer</h2>
+      <p><strong>Customer:</strong> ${escapeHtml(order.shippingAddress.name)} (${escapeHtml(order.shippingAddress.email)})</p>
+      <p><strong>Order Total:</strong> ₹${order.totalAmount.toFixed(2)}</p>
+      <p><strong>Payment:</strong> ${order.paymentMethod === 'cod' ? 'Cash on delivery' : order.razorpayPaymentId ? 'Paid online' : 'Not paid'}</p>
+      <p><strong>Reason:</strong> ${reason ? escapeHtml(reason) : 'Not given'}</p>
+      ${refundError ? `<p style="color: #dc2626;"><strong>The automatic refund failed (${escapeHtml(refundError)}). Please refund this order manually.</strong></p>` : ''}
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: adminEmails,
+      subject: `${refundError ? '[Action needed] ' : ''}Order #${orderNumber} cancelled by customer`,
+      html,
+    });
+
+    if (error) {
+      console.error('Admin cancellation email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// Let the admins know a payment arrived for an order that had already been cancelled
+export const sendAdminLatePaymentEmail = async (adminEmails, order, { paymentId, refund, refundError } = {}) => {
+  if (adminEmails.length === 0) return { success: true };
+
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Payment Received for Cancelled Order</title>
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b;">
+      <h2>A payment was captured for cancelled order #${orderNumber}</h2>
+      <p><strong>Customer:</strong> ${escapeHtml(order.shippingAddress.name)} (${escapeHtml(order.shippingAddress.email)})</p>
+      <p><strong>Order Total:</strong> ₹${order.totalAmount.toFixed(2)}</p>
+      <p><strong>Payment:</strong> ${escapeHtml(paymentId)}</p>
+      ${refund
+        ? `<p>The payment was refunded automatically (refund ${escapeHtml(refund.razorpayRefundId)}).</p>`
+        : `<p style="color: #dc2626;"><strong>The automatic refund failed (${escapeHtml(refundError)}). Please refund this payment manually.</strong></p>`}
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: adminEmails,
+      subject: `${refund ? '' : '[Action needed] '}Payment received for cancelled order #${orderNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Admin late payment email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// What each return status means for the customer
+const RETURN_EMAIL_COPY = {
+  requested: {
+    title: 'Return Request Received',
+    intro: 'We have received your return request and will review it shortly.'
+  },
+  approved: {
+    title: 'Return Approved',
+    intro: 'Your return has been approved. Please pack the items securely, with any tags and packaging, and send them back to us. We will let you know once they arrive.'
+  },
+  rejected: {
+    title: 'Return Not Approved',
+    intro: 'Unfortunately we are unable to accept this return.'
+  },
+  received: {
+    title: 'Returned Items Received',
+    intro: 'Your returned items have arrived and passed inspection. We are now processing your return.'
+  },
+  refunded: {
+    title: 'Return Refunded',
+    intro: 'We have refunded the items you returned.'
+  },
+  exchanged: {
+    title: 'Exchange on its Way',
+    intro: 'Your replacement items have been dispatched and are on their way to you.'
+  }
+};
+
+// Keep the customer updated as their return moves through each step
+export const sendReturnUpdateEmail = async (email, name, returnRequest, order) => {
+  const copy = RETURN_EMAIL_COPY[returnRequest.status];
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+  const returnNumber = returnRequest._id.toString().slice(-8).toUpperCase();
+  const lastEntry = returnRequest.statusHistory[returnRequest.statusHistory.length - 1];
+  const note = lastEntry && lastEntry.status === returnRequest.status && lastEntry.actorType === 'admin'
+    ? lastEntry.note
+    : '';
+  const refund = returnRequest.status === 'refunded' ? returnRequest.refund : null;
+
+  const itemsHtml = returnRequest.items.map(item => {
+    const orderItem = order.items.id(item.orderItem);
+    return `<li>${escapeHtml(orderItem ? orderItemName(orderItem) : item.sku || 'Item')} &times; ${item.quantity}</li>`;
+  }).join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${copy.title}</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: white; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+        .header h1 { color: white; margin: 0; font-size: 28px; font-weight: 600; }
+        .content { padding: 40px 20px; }
+        .order-details { background-color: #f8fafc; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .footer { background-color: #f8fafc; padding: 20px; text-align: center; color: #64748b; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${copy.title}</h1>
+        </div>
+        <div class="content">
+          <h2>Dear ${name},</h2>
+          <p>${copy.intro}</p>
+
+          <div class="order-details">
+            <h3>Return Details</h3>
+            <p><strong>Return Reference:</strong> #${returnNumber}</p>
+            <p><strong>Order:</strong> #${orderNumber}</p>
+            <p><strong>Type:</strong> ${returnRequest.type === 'exchange' ? 'Exchange' : 'Refund'}</p>
+            <ul>${itemsHtml}</ul>
+            ${note ? `<p><strong>Note from us:</strong> ${escapeHtml(note)}</p>` : ''}
+            ${refund ? `
+            <p><strong>Refund Amount:</strong> ₹${refund.amount.toFixed(2)}</p>
+            <p><strong>Refund Reference:</strong> ${escapeHtml(refund.razorpayRefundId || refund.reference)}</p>
+            ` : ''}
+          </div>
+
+          ${refund && refund.razorpayRefundId
+            ? '<p>The amount will be credited to your original payment method. Depending on your bank, this usually takes 5-7 working days.</p>'
+            : ''}
+          <p>For any queries about your return, please contact us at rangleela0506@gmail.com</p>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} RangLeela. All rights reserved.</p>
+          <p style="color: #64748b; font-size: 12px;">This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: email,
+      subject: `${copy.title} - Return #${returnNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Return update email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// Let the admins know a customer asked to return items
+export const sendAdminReturnRequestedEmail = async (adminEmails, returnRequest, order) => {
+  if (adminEmails.length === 0) return { success: true };
+
+  const orderNumber = order._id.toString().slice(-8).toUpperCase();
+  const returnNumber = returnRequest._id.toString().slice(-8).toUpperCase();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>New Return Request</title>
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b;">
+      <h2>Return #${returnNumber} requested for order #${orderNumber}</h2>
+      <p><strong>Customer:</strong> ${escapeHtml(order.shippingAddress.name)} (${escapeHtml(order.shippingAddress.email)})</p>
+      <p><strong>Type:</strong> ${returnRequest.type === 'exchange' ? 'Exchange' : 'Refund'}</p>
+      <p><strong>Reason:</strong> ${returnRequest.reason.replace(/_/g, ' ')}</p>
+      ${returnRequest.description ? `<p><strong>Details:</strong> ${escapeHtml(returnRequest.description)}</p>` : ''}
+      <p><strong>Items:</strong> ${returnRequest.items.map(item => {
+        const orderItem = order.items.id(item.orderItem);
+        return `${escapeHtml(orderItem ? orderItemName(orderItem) : item.sku || 'Item')}${item.sku ? ` (${escapeHtml(item.sku)})` : ''} &times; ${item.quantity}`;
+      }).join(', ')}</p>
+      <p><strong>Photos:</strong> ${returnRequest.images.length}</p>
+    </body>
+    </html>
+  `;
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: `RangLeela <${process.env.RESEND_SENDER_EMAIL}>`,
+      to: adminEmails,
+      subject: `Return requested for order #${orderNumber}`,
+      html,
+    });
+
+    if (error) {
+      console.error('Admin return request email failed:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('Unexpected error:', err);
+    return { success: false, error: err.message };
+  }
+};
@@ -0,0 +1,89 @@
+import Order from '../models/Order.js';
+import { getPaymentProvider } from '../config/payment.js';
+import { numberFromEnv } from '../config/env.js';
+import { markOrderPaid, releaseOrderHolds, sendOrderConfirmationOnce, transitionOrderStatus } from '../utils/orders.js';
+
+// How long a pending order may wait for payment, and how often to sweep
+const EXPIRY_MINUTES = numberFromEnv('PENDING_ORDER_EXPIRY_MINUTES', 30);
+const SWEEP_INTERVAL_MINUTES = numberFromEnv('PENDING_ORDER_SWEEP_INTERVAL_MINUTES', 5);
+const BATCH_SIZE = 100;
+
+let isRunning = false;
+
+// Expire one abandoned order, unless the payment provider says it was paid after all
+const expireOrder = async (order) => {
+  let payments;
+  try {
+    payments = await getPaymentProvider(order.paymentProvider).fetchOrderPayments(order.razorpayOrderId);
+  } catch (error) {
+    // Never expire an order we could not check; try again on the next sweep
+    console.error(`Failed to check payments for order ${order._id}:`, error);
+    return 'skipped';
+  }
+
+  const captured = payments.find(payment => payment.status === 'captured');
+  if (captured) {
+    await markOrderPaid(order, { paymentId: captured.id });
+    await sendOrderConfirmationOnce(order._id);
+    return 'paid';
+  }
+
+  // Authorized payments are still being captured
+  if (payments.some(payment => payment.status === 'authorized')) {
+    return 'skipped';
+  }
+
+  const expiredOrder = await transitionOrderStatus(order, 'expired', {
+    note: `Payment not completed within ${EXPIRY_MINUTES} minutes`
+  });
+  if (!expiredOrder) return 'skipped';
+
+  await releaseOrderHolds(expiredOrder);
+  return 'expired';
+};
+
+// Expire pending orders older than the configured window and release their stock and coupons
+export const expirePendingOrders = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  const counts = { expired: 0, paid: 0, skipped: 0 };
+  try {
+    const cutoff = new Date(Date.now() - EXPIRY_MINUTES * 60 * 1000);
+    const orders = await Order.find({ status: 'pending', createdAt: { $lt: cutoff } })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const order of orders) {
+      try {
+        counts[await expireOrder(order)]++;
+      } catch (error) {
+        console.error(`Failed to expire order ${order._id}:`, error);
+        counts.skipped++;
+      }
+    }
+
+    if (orders.length > 0) {
+      console.log(`⏰ Pending order sweep: ${counts.expired} expired, ${counts.paid} found paid, ${counts.skipped} skipped`);
+    }
+  } catch (error) {
+    console.error('Pending order sweep error:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return counts;
+};
+
+// A sweep interval of 0 turns the job off
+export const startPendingOrderExpiryJob = () => {
+  if (SWEEP_INTERVAL_MINUTES <= 0) {
+    console.log('⏰ Pending order expiry job off');
+    return;
+  }
+
+  const timer = setInterval(expirePendingOrders, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  expirePendingOrders();
+  console.log(`⏰ Pending orders expire after ${EXPIRY_MINUTES} minutes (sweep every ${SWEEP_INTERVAL_MINUTES} minutes)`);
+};
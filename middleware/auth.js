@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { ADMIN_EMAILS } from '../server.js';
+import { findActiveSession, touchSession } from '../utils/sessions.js';
+import { hasPermission } from '../utils/roles.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -26,6 +27,16 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Access tokens name their session, which may have been signed out since
+    const session = decoded.sessionId && await findActiveSession(decoded.sessionId, user._id);
+    if (!session) {
+      res.clearCookie('authToken');
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please log in again'
+      });
+    }
+
     if (!user.isVerified) {
       return res.status(401).json({ 
         success: false, 
@@ -33,7 +44,10 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    await touchSession(session, req);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -65,10 +79,15 @@ export const requireVerification = (req, res, next) => {
   next();
 };
 
-// Admin middleware with better error handling
-export const requireAdmin = (req, res, next) => {
-  console.log('Admin check - User:', req.user?.email);
-  
+// Staff accounts must turn on two-factor authentication before using their role
+const twoFactorSetupRequired = (res) => res.status(403).json({
+  success: false,
+  message: 'Set up two-factor authentication to use admin features',
+  twoFactorSetupRequired: true
+});
+
+// Any staff member; routes narrow this down with requirePermission
+export const requireStaff = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -76,14 +95,39 @@ export const requireAdmin = (req, res, next) => {
     });
   }
 
-  // Check if user is admin
-  if (!ADMIN_EMAILS.includes(req.user.email)) {
+  if (!req.user.role) {
     return res.status(403).json({
       success: false,
       message: 'Admin access required'
     });
   }
 
-  console.log('Admin access granted');
+  if (!req.user.twoFactor.enabled) {
+    return twoFactorSetupRequired(res);
+  }
+
+  next();
+};
+
+// Staff whose role grants at least one of the permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!permissions.some(permission => hasPermission(req.user, permission))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this'
+    });
+  }
+
+  if (!req.user.twoFactor.enabled) {
+    return twoFactorSetupRequired(res);
+  }
+
   next();
-};
\ No newline at end of file
+};
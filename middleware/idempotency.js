@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 255;
+
+// Hash of everything that makes two requests the same request. Multipart forms
+// are compared by their parsed fields and files once multer has run, and only
+// by size before that.
+const fingerprintRequest = (req) => {
+  let payload = { body: req.body };
+  if (req.is('multipart/form-data')) {
+    const files = req.files || (req.file ? [req.file] : null);
+    payload = files
+      ? {
+        body: req.body,
+        files: files.map(file => ({
+          field: file.fieldname,
+          name: file.originalname,
+          type: file.mimetype,
+          size: file.size
+        }))
+      }
+      : { contentLength: req.get('Content-Length') };
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, ...payload }))
+    .digest('hex');
+};
+
+// Honour an Idempotency-Key header on mutating requests. The first request with a
+// key runs normally and its response is stored; retries with the same key and
+// payload get that response back, and a key reused for a different request is
+// rejected. Server errors are not stored, so they can be retried.
+// Must run after authenticateToken, and after multer on upload routes.
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !MUTATING_METHODS.includes(req.method)) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const fingerprint = fingerprintRequest(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user._id,
+        method: req.method,
+        path: req.originalUrl,
+        fingerprint
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+      if (!existing) {
+        // Expired between the insert and the lookup; the client can simply retry
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency key expired, please retry'
+        });
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency key was already used for a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this idempotency key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry can never see the key unfinished
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const save = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        );
+
+      save
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // Responses sent some other way (or not at all) leave nothing to replay
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(error => console.error('Failed to release idempotency key:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process request'
+    });
+  }
+};
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. one invoice counter per financial year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically take the next number in a sequence (starting at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
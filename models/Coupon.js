@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'flat']
+  },
+  // Percent off for percentage coupons, rupees off for flat coupons
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper limit in rupees for percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When set, the discount only applies to matching items
+  applicableCategories: [{
+    type: String,
+    enum: ['painting', 'apparel', 'accessories']
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Total redemptions allowed across all users (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Percentage discounts cannot exceed 100%
+couponSchema.pre('save', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('Coupon must end after it starts'));
+  }
+  next();
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+export default mongoose.model('Coupon', couponSchema);
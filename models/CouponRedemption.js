@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon by a customer, held by an order. Each use takes one of
+// the customer's numbered slots; the unique index makes sure parallel checkouts
+// cannot take the same slot, so the per-user limit holds.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, slot: 1 }, { unique: true });
+couponRedemptionSchema.index({ order: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
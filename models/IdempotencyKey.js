@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { numberFromEnv } from '../config/env.js';
+
+// How long a key is remembered; retries after this run the request again
+const TTL_HOURS = numberFromEnv('IDEMPOTENCY_KEY_TTL_HOURS', 24);
+
+// Responses to requests sent with an Idempotency-Key header, so retries of the
+// same request get the original response instead of running it twice
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Keys are scoped to the user who sent them
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and payload, to catch a key reused for a different request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: Math.round(TTL_HOURS * 60 * 60)
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -24,16 +24,124 @@ const orderSchema = new mongoose.Schema({
     originalPrice: {
       type: Number
     },
+    // Copied from the product when the order is placed (see utils/orderItems.js),
+    // so the order still reads correctly after the product is edited or deleted
+    name: {
+      type: String
+    },
+    image: {
+      type: String
+    },
+    category: {
+      type: String
+    },
     selectedSize: {
       type: String,
       default: ''
     },
+    // Chosen product variant, if the product has variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    variantOptions: {
+      type: Map,
+      of: String
+    },
     rating: {
       type: Number,
       min: 1,
       max: 5
-    }
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Where this line is in delivery; the order status is worked out from these
+    fulfilmentStatus: {
+      type: String,
+      enum: ['unfulfilled', 'shipped', 'delivered'],
+      default: 'unfulfilled'
+    },
+    // The shipment (see shipments below) this line went out in
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    deliveredAt: {
+      type: Date
+    },
+    // Share of the coupon discount on this line (rupees)
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // GST for this line, worked out on the value after discount
+    hsnCode: String,
+    taxRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number
   }],
+  // Item total before discounts and tax (rupees)
+  subtotal: {
+    type: Number
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    // Whether this order currently counts towards the coupon's usage
+    redeemed: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Item total after discounts, before tax (rupees)
+  taxableAmount: {
+    type: Number
+  },
+  taxAmount: {
+    type: Number
+  },
+  taxBreakdown: {
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  },
+  // Shipped outside the seller's state, so charged IGST instead of CGST + SGST
+  isInterState: {
+    type: Boolean
+  },
+  // Delivery charge included in totalAmount (rupees)
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    zone: String,
+    // Billed weight in grams
+    chargeableWeight: Number,
+    freeShipping: Boolean
+  },
+  // Handling fee for cash on delivery, included in totalAmount (rupees)
+  codFee: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: true
@@ -44,9 +152,118 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'cancelled', 'processing', 'shipped', 'delivered'],
+    enum: ['pending', 'paid', 'confirmed', 'failed', 'cancelled', 'processing', 'partially_shipped', 'shipped', 'delivered', 'partially_refunded', 'refunded', 'expired'],
     default: 'pending'
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Tracks the stock held for this order: reserved at checkout,
+  // committed once paid (cash on delivery: once shipped), released if the
+  // order fails, expires or is cancelled before that
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'committed', 'released'],
+    default: 'none'
+  },
+  // Parcels handed to a carrier, each holding some of the line items. Tracking
+  // is refreshed through the adapter in config/tracking.js when an admin asks,
+  // and the items are marked delivered as their parcel arrives.
+  shipments: [{
+    // _ids of the line items in this parcel; empty for shipments recorded
+    // before items were tracked, which cover the whole order
+    items: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
+    carrier: {
+      type: String,
+      required: true
+    },
+    // Air waybill / tracking number issued by the carrier
+    awb: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    trackingUrl: {
+      type: String
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expectedDeliveryAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'],
+      default: 'in_transit'
+    },
+    deliveredAt: {
+      type: Date
+    },
+    // Scans reported by the carrier, oldest first
+    events: [{
+      status: String,
+      description: String,
+      location: String,
+      occurredAt: Date
+    }],
+    lastCheckedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  paymentMethod: {
+    type: String,
+    enum: ['razorpay', 'cod'],
+    default: 'razorpay'
+  },
+  // Gateway that handled an online payment (see config/payment.js). The
+  // razorpay* fields below hold that gateway's order, payment and signature.
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'mock'],
+    default: 'razorpay'
+  },
+  // Cash taken by the courier for cash on delivery orders
+  codCollection: {
+    amount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  },
   paymentId: {
     type: String
   },
@@ -76,6 +293,80 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Set once the confirmation email has gone out, so it is never sent twice
+  confirmationEmailSentAt: {
+    type: Date
+  },
+  // Assigned when the order is paid, e.g. RL/2025-26/00042
+  invoiceNumber: {
+    type: String
+  },
+  invoiceDate: {
+    type: Date
+  },
+  // Set while a refund is with the payment provider, see refundOrder
+  refundClaim: {
+    amount: {
+      type: Number
+    },
+    claimedAt: {
+      type: Date
+    }
+  },
+  // Set while a return request is being checked and saved, see createReturnRequest
+  returnClaimedAt: {
+    type: Date
+  },
+  // Refunds issued by admins or reported by Razorpay (amounts in rupees).
+  // Orders not paid online are refunded by hand and record the payout reference.
+  refunds: [{
+    razorpayRefundId: {
+      type: String,
+      required: function() {
+        return !this.reference;
+      }
+    },
+    reference: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    // Line items covered by a partial refund; empty for a full refund
+    items: [{
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      quantity: {
+        type: Number,
+        min: 1
+      },
+      amount: {
+        type: Number
+      }
+    }],
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    processedAt: {
+      type: Date
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -91,6 +382,11 @@ const orderSchema = new mongoose.Schema({
 // Index for user orders
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ status: 1, createdAt: 1 });
 orderSchema.index({ razorpayOrderId: 1 });
+orderSchema.index({ razorpayPaymentId: 1 });
+orderSchema.index({ user: 1, 'coupon.coupon': 1 });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'shipments.awb': 1 });
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
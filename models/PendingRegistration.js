@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { PENDING_REGISTRATION_TTL_HOURS } from '../config/auth.js';
+
+// A sign-up waiting for its email to be verified. The user is only created
+// from this record, never from data sent back by the client.
+const pendingRegistrationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // bcrypt hashes; neither the password nor the code is stored in plain text
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  codeExpiresAt: {
+    type: Date,
+    required: true
+  },
+  // Wrong codes entered against the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Verification emails sent so far, and when the last one went out
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date
+  },
+  // MongoDB removes the record at this time
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + PENDING_REGISTRATION_TTL_HOURS * 60 * 60 * 1000),
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+pendingRegistrationSchema.statics.hashSecret = async function(secret, rounds = 12) {
+  const salt = await bcrypt.genSalt(rounds);
+  return bcrypt.hash(secret, salt);
+};
+
+pendingRegistrationSchema.methods.compareCode = function(candidateCode) {
+  return bcrypt.compare(candidateCode, this.codeHash);
+};
+
+export default mongoose.model('PendingRegistration', pendingRegistrationSchema);
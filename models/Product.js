@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+// A purchasable option of a product (e.g. size M in blue), with its own SKU and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Option values keyed by option name, e.g. { size: 'M', color: 'Blue', frame: 'Teak' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0
+  },
+  discountPrice: {
+    type: Number,
+    min: 0
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -70,10 +105,41 @@ const productSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  variants: [variantSchema],
   material: {
     type: String,
     default: ''
   },
+  // Packed weight in grams; category defaults apply when not set
+  weight: {
+    type: Number,
+    min: 0
+  },
+  // Packed size in centimetres, used for volumetric weight
+  dimensions: {
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+  },
+  // Handling class for shipping; category defaults apply when not set
+  shippingClass: {
+    type: String,
+    enum: ['standard', 'oversized', 'fragile']
+  },
+  // Units available to sell (reserved units are already subtracted).
+  // For products with variants this is the total across variants.
+  stockQuantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Units held by pending orders awaiting payment
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Derived from stockQuantity, kept in the document for listing queries
   inStock: {
     type: Boolean,
     default: true
@@ -93,6 +159,16 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when an admin archives the product: it disappears from the shop but
+  // stays in the database for orders and analytics until it is purged
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -113,6 +189,39 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Variant SKUs must be unique within a product
+productSchema.pre('save', function(next) {
+  const skus = this.variants.map(variant => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    return next(new Error('Variant SKUs must be unique'));
+  }
+  next();
+});
+
+// Keep the stored stock totals and inStock flag in sync with stock
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stockQuantity = this.variants.reduce((sum, variant) => sum + variant.stockQuantity, 0);
+    this.reservedQuantity = this.variants.reduce((sum, variant) => sum + variant.reservedQuantity, 0);
+  }
+  this.inStock = this.stockQuantity > 0;
+  next();
+});
+
+// Method to get the price a variant (or the product itself) sells for
+productSchema.methods.getPricing = function(variant) {
+  const originalPrice = variant && variant.price != null ? variant.price : this.price;
+
+  // A variant with its own price only uses its own discount
+  let discountPrice = this.discountPrice;
+  if (variant && (variant.price != null || variant.discountPrice != null)) {
+    discountPrice = variant.discountPrice;
+  }
+
+  const price = discountPrice && discountPrice < originalPrice ? discountPrice : originalPrice;
+  return { price, originalPrice };
+};
+
 // Virtual property to get all images (primary + additional)
 productSchema.virtual('allImages').get(function() {
   const images = [{ url: this.image, cloudinaryId: this.cloudinaryId }];
@@ -131,5 +240,7 @@ productSchema.index({
 // Index for category and featured products
 productSchema.index({ category: 1, featured: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ archivedAt: 1, createdAt: -1 });
 
 export default mongoose.model('Product', productSchema);
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line item in the order
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // For exchanges: the variant to send instead (defaults to the same one)
+  exchangeVariant: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    default: 'refund'
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A return needs at least one item'
+    }
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Photos of the items, uploaded to Cloudinary
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    cloudinaryId: {
+      type: String,
+      required: true
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded', 'exchanged'],
+    default: 'requested'
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Whether the returned units were put back in stock when received
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the return is refunded. Online payments are refunded through the
+  // payment provider; cash on delivery refunds are paid out by hand.
+  refund: {
+    amount: Number,
+    razorpayRefundId: String,
+    reference: String,
+    refundedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// One logged in device. The access token names the session, so revoking it
+// here signs the device out even before its access token expires.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // sha256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Refresh tokens already swapped for new ones. Seeing one again means the
+  // token was copied, so the session is revoked.
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Readable label, e.g. "Chrome on Windows"
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String
+  },
+  lastIp: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_change', 'password_reset', 'two_factor_enabled', 'token_reuse']
+  },
+  // MongoDB removes the record at this time
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Session', sessionSchema);
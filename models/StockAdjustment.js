@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const stockAdjustmentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the adjustment was made to one variant of the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  quantityChange: {
+    type: Number,
+    required: true
+  },
+  previousQuantity: {
+    type: Number,
+    required: true
+  },
+  newQuantity: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  adjustedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for per-product history
+stockAdjustmentSchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.model('StockAdjustment', stockAdjustmentSchema);
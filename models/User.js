@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES } from '../config/roles.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -32,10 +33,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationCode: {
-    type: String
+  // Staff role, see config/roles.js. Customers have none.
+  role: {
+    type: String,
+    enum: [...ROLES, null],
+    default: null
+  },
+  roleAssignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
-  verificationCodeExpires: {
+  roleAssignedAt: {
     type: Date
   },
   loginAttempts: {
@@ -48,6 +56,55 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Two-factor authentication with an authenticator app, see utils/totp.js.
+  // Secrets are encrypted and recovery codes hashed; none are selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for its first code during setup
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last code accepted, so a code works only once
+    lastUsedStep: {
+      type: Number
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // When the password was last reset
+  passwordChangedAt: {
+    type: Date
+  },
+  // Password reset: sha256 of the emailed token, and the per-address limits
+  passwordResetTokenHash: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  passwordResetRequestedAt: {
+    type: Date
+  },
+  passwordResetWindowStart: {
+    type: Date
+  },
+  passwordResetRequests: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -56,17 +113,18 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Only non-duplicate index
-userSchema.index({ verificationCode: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ role: 1 });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
-// Pre-save middleware to hash password
+// Pre-save middleware to hash password. Set $locals.passwordHashed when the
+// password is already a bcrypt hash, e.g. one taken from a PendingRegistration.
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || this.$locals.passwordHashed) return next();
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
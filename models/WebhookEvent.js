@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Razorpay webhook deliveries that have already been handled, so retries are ignored
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 30 // Razorpay stops retrying long before 30 days
+  }
+});
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
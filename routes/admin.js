@@ -4,25 +4,197 @@ import Product from '../models/Product.js';
 import Contact from '../models/Contact.js';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import StockAdjustment from '../models/StockAdjustment.js';
+import Coupon from '../models/Coupon.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { authenticateToken, requireStaff, requirePermission } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { upload } from '../config/cloudinary.js';
 import cloudinary from '../config/cloudinary.js';
-import { sendDeliveryEmail, sendContactReply } from '../email.js';
+import { sendDeliveryEmail, sendShippedEmail, sendContactReply, sendRefundEmail, sendReturnUpdateEmail } from '../email.js';
+import { refreshInStock, commitOrderStock } from '../utils/inventory.js';
+import { refundOrder, canTransition, transitionOrderStatus, releaseOrderHolds, canInvoice } from '../utils/orders.js';
+import { assignInvoiceNumber, generateInvoicePdf, invoiceFilename } from '../utils/invoice.js';
+import { addShipment, markItemsFulfilled, syncOrderTracking } from '../utils/shipments.js';
+import { populateOrderProducts, findSnapshotImages } from '../utils/orderItems.js';
+import { CARRIERS } from '../config/carriers.js';
+import { shipmentTracker } from '../config/tracking.js';
+import { ROLES, ROLE_PERMISSIONS } from '../config/roles.js';
+import { hasPermission } from '../utils/roles.js';
+import {
+  canTransitionReturn,
+  transitionReturnStatus,
+  restockReturnItems,
+  takeExchangeStock,
+  releaseExchangeStock,
+  refundReturnItems,
+  returnableOrdersFilter,
+  OPEN_RETURN_STATUSES
+} from '../utils/returns.js';
 
 const router = express.Router();
 
+// Order statuses an admin may set by hand; payment and refund states are set by their own flows
+const ADMIN_ORDER_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled', 'failed'];
+
+// Return updates that only need returns:receive
+const RECEIVE_RETURN_STATUSES = ['received', 'exchanged'];
+
 // Custom upload handler for products (up to 3 images + 1 video)
 const productUpload = upload.fields([
   { name: 'images', maxCount: 3 },
   { name: 'video', maxCount: 1 }
 ]);
 
-// Apply authentication and admin check to all routes
+// Parse and validate product variants sent as a JSON string in multipart forms.
+// Returns { variants } on success or { error } with a message for the client.
+const parseVariants = (raw, basePrice) => {
+  let variants;
+  try {
+    variants = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    return { error: 'Variants must be valid JSON' };
+  }
+
+  if (!Array.isArray(variants)) {
+    return { error: 'Variants must be an array' };
+  }
+  if (variants.length > 50) {
+    return { error: 'Maximum 50 variants allowed' };
+  }
+
+  const parsed = [];
+  const skus = new Set();
+
+  for (const variant of variants) {
+    const sku = typeof variant.sku === 'string' ? variant.sku.trim().toUpperCase() : '';
+    if (!sku || sku.length > 50) {
+      return { error: 'Each variant needs a SKU of at most 50 characters' };
+    }
+    if (skus.has(sku)) {
+      return { error: `Duplicate variant SKU: ${sku}` };
+    }
+    skus.add(sku);
+
+    const options = variant.options || {};
+    if (typeof options !== 'object' || Array.isArray(options) ||
+        Object.values(options).some(value => typeof value !== 'string' || value.length > 50)) {
+      return { error: `Invalid options for variant ${sku}` };
+    }
+
+    const price = variant.price !== undefined && variant.price !== '' ? parseFloat(variant.price) : undefined;
+    const discountPrice = variant.discountPrice !== undefined && variant.discountPrice !== ''
+      ? parseFloat(variant.discountPrice)
+      : undefined;
+    if ((price !== undefined && !(price >= 0)) || (discountPrice !== undefined && !(discountPrice >= 0))) {
+      return { error: `Invalid price for variant ${sku}` };
+    }
+    if (discountPrice !== undefined && discountPrice >= (price !== undefined ? price : basePrice)) {
+      return { error: `Discount price must be less than regular price for variant ${sku}` };
+    }
+
+    const stockQuantity = variant.stockQuantity !== undefined ? Number(variant.stockQuantity) : 0;
+    if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+      return { error: `Stock quantity must be a non-negative integer for variant ${sku}` };
+    }
+
+    parsed.push({
+      _id: variant._id,
+      sku,
+      options,
+      price,
+      discountPrice,
+      stockQuantity
+    });
+  }
+
+  return { variants: parsed };
+};
+
+// Parse the shipping fields of a multipart product form: weight (grams),
+// length/width/height (cm) and shippingClass. Only fields that were sent are
+// returned, keyed by their path on the product, or { error } for the client.
+const parseShippingFields = (body) => {
+  const fields = {};
+
+  for (const [name, path] of [['weight', 'weight'], ['length', 'dimensions.length'], ['width', 'dimensions.width'], ['height', 'dimensions.height']]) {
+    if (body[name] === undefined || body[name] === '') continue;
+    const value = parseFloat(body[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name.charAt(0).toUpperCase() + name.slice(1)} must be a positive number` };
+    }
+    fields[path] = value;
+  }
+
+  if (body.shippingClass) {
+    if (!['standard', 'oversized', 'fragile'].includes(body.shippingClass)) {
+      return { error: 'Invalid shipping class' };
+    }
+    fields.shippingClass = body.shippingClass;
+  }
+
+  return { fields };
+};
+
+// Check that none of the SKUs are already used by another product
+const findSkuConflict = async (variants, productId) => {
+  if (variants.length === 0) return null;
+
+  const query = { 'variants.sku': { $in: variants.map(variant => variant.sku) } };
+  if (productId) query._id = { $ne: productId };
+
+  const conflict = await Product.findOne(query).select('variants.sku');
+  if (!conflict) return null;
+
+  const taken = new Set(conflict.variants.map(variant => variant.sku));
+  return variants.find(variant => taken.has(variant.sku)).sku;
+};
+
+// Delete product media from Cloudinary, except images that past orders still
+// show: their item snapshots hold the image URL, not a copy of the file
+const destroyProductMedia = async (media) => {
+  const files = media.filter(file => file && file.cloudinaryId);
+  const inUse = await findSnapshotImages(files.map(file => file.url).filter(Boolean));
+
+  for (const file of files) {
+    if (!inUse.has(file.url)) {
+      await cloudinary.uploader.destroy(file.cloudinaryId);
+    }
+  }
+};
+
+// Coupon validation shared by create and update
+const validateCoupon = [
+  body('code').optional().trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters'),
+  body('discountType').optional().isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+  body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a positive number'),
+  body('applicableCategories').optional().isArray().withMessage('Categories must be an array'),
+  body('applicableCategories.*').isIn(['painting', 'apparel', 'accessories']).withMessage('Invalid category'),
+  body('applicableProducts').optional().isArray().withMessage('Products must be an array'),
+  body('applicableProducts.*').isMongoId().withMessage('Invalid product ID'),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+  body('validUntil').optional({ values: 'null' }).isISO8601().withMessage('Valid until must be a date'),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minOrderValue',
+  'applicableCategories', 'applicableProducts', 'usageLimit', 'perUserLimit',
+  'validFrom', 'validUntil', 'isActive'
+];
+
+// Apply authentication and admin check to all routes, and let clients retry mutating requests safely
 router.use(authenticateToken);
-router.use(requireAdmin);
+router.use(requireStaff);
+router.use(idempotency);
 
 // Get dashboard analytics
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requirePermission('analytics:read'), async (req, res) => {
   try {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -44,76 +216,21 @@ router.get('/analytics', async (req, res) => {
       User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
       Contact.countDocuments(),
       Contact.countDocuments({ status: 'new' }),
-      Order.countDocuments(),
-      Order.countDocuments({ status: { $in: ['paid', 'processing'] } }),
+      Order.countDocuments({ status: { $ne: 'expired' } }),
+      Order.countDocuments({ status: { $in: ['paid', 'confirmed', 'processing', 'partially_shipped'] } }),
       Product.aggregate([
         { $group: { _id: '$category', count: { $sum: 1 } } }
       ]),
       Contact.find().sort({ createdAt: -1 }).limit(5),
-      Order.find().populate('user', 'name email').sort({ createdAt: -1 }).limit(5)
+      Order.find({ status: { $ne: 'expired' } }).populate('user', 'name email').sort({ createdAt: -1 }).limit(5)
     ]);
 
     const contactsBySubject = await Contact.aggregate([
       { $group: { _id: '$subject', count: { $sum: 1 } } }
     ]);
 
-// Reply to contact endpoint
-router.post('/contacts/:id/reply', 
-  [
-    body('reply').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be between 1-5000 characters'),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
-
-      const { id } = req.params;
-      const { reply } = req.body;
-
-    // Get contact details
-    const contact = await Contact.findById(id);
-    if (!contact) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contact not found'
-      });
-    }
-
-    // Send reply email
-    const emailResult = await sendContactReply({
-      to: contact.email,
-      name: contact.name,
-      subject: contact.subject,
-      reply: reply
-    });
-
-    if (!emailResult.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send reply email'
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Reply sent successfully'
-    });
-  } catch (error) {
-    console.error('Send reply error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send reply'
-    });
-  }
-});
-
     const monthlyOrders = await Order.aggregate([
+      { $match: { status: { $ne: 'expired' } } },
       {
         $group: {
           _id: {
@@ -156,17 +273,77 @@ router.post('/contacts/:id/reply',
   }
 });
 
+// Reply to contact endpoint
+router.post('/contacts/:id/reply',
+  requirePermission('contacts:reply'),
+  [
+    body('reply').trim().isLength({ min: 1, max: 5000 }).withMessage('Reply must be between 1-5000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { reply } = req.body;
+
+      // Get contact details
+      const contact = await Contact.findById(id);
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+
+      // Send reply email
+      const emailResult = await sendContactReply({
+        to: contact.email,
+        name: contact.name,
+        subject: contact.subject,
+        reply: reply
+      });
+
+      if (!emailResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send reply email'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reply sent successfully'
+      });
+    } catch (error) {
+      console.error('Send reply error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send reply'
+      });
+    }
+  }
+);
+
 // Get all orders
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('orders:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50, status } = req.query;
     const query = {};
 
-    if (status) query.status = status;
+    // Abandoned checkouts are only listed when asked for
+    query.status = status || { $ne: 'expired' };
 
     const orders = await Order.find(query)
       .populate('user', 'name email')
-      .populate('items.product', 'name image')
+      .populate(populateOrderProducts('name image'))
+      .populate('statusHistory.actor', 'name email')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -195,107 +372,136 @@ router.get('/orders', async (req, res) => {
 });
 
 // Update order status
-router.put('/orders/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body;
+router.put('/orders/:id',
+  requirePermission('orders:update'),
+  [
+    body('status').isIn(ADMIN_ORDER_STATUSES).withMessage(`Status must be one of: ${ADMIN_ORDER_STATUSES.join(', ')}`),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status, updatedAt: new Date() },
-      { new: true }
-    ).populate('user', 'name email').populate('items.product');
+      const { id } = req.params;
+      const { status, note } = req.body;
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+      const existing = await Order.findById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
 
-    // Send delivery email if status is delivered
-    if (status === 'delivered') {
-      try {
-        await sendDeliveryEmail(
-          order.shippingAddress.email,
-          order.shippingAddress.name,
-          order
-        );
-      } catch (emailError) {
-        console.error('Failed to send delivery email:', emailError);
+      // Money has been taken for paid orders, so they are closed through a refund instead
+      if (status === 'cancelled' && existing.razorpayPaymentId && existing.status !== 'pending' && existing.status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Paid orders must be refunded rather than cancelled'
+        });
       }
-    }
 
-    res.json({
-      success: true,
-      message: 'Order updated successfully',
-      data: { order }
-    });
-  } catch (error) {
-    console.error('Update order error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update order'
-    });
-  }
-});
+      if (!canTransition(existing.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change order status from ${existing.status} to ${status}`
+        });
+      }
 
-// Get all products
-router.get('/products', async (req, res) => {
-  try {    
-    const { page = 1, limit = 50, category, search } = req.query;
-    const query = {};
+      const updated = await transitionOrderStatus(existing, status, {
+        actor: req.user._id,
+        actorType: 'admin',
+        note: note || ''
+      });
 
-    if (category) query.category = category;
-    if (search) {
-      query.$text = { $search: search };
-    }
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order status changed in the meantime, please reload and try again'
+        });
+      }
 
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      // Unpaid orders that are called off no longer need their stock or coupon
+      if (status === 'failed' || status === 'cancelled') {
+        await releaseOrderHolds(updated);
+      }
 
-    const total = await Product.countDocuments(query);
+      // Cash on delivery orders hold their stock until the parcel leaves
+      if (status === 'shipped') {
+        await commitOrderStock(updated);
+      }
 
-    // Transform products to include proper ID
-    const transformedProducts = products.map(product => ({
-      ...product.toObject(),
-      id: product._id.toString()
-    }));
+      // Items follow the order when it is moved on by hand
+      if (status === 'shipped' || status === 'delivered') {
+        await markItemsFulfilled(updated, status);
+      }
 
-    res.json({
-      success: true,
-      data: {
-        products: transformedProducts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
+      const order = await Order.findById(id)
+        .populate('user', 'name email')
+        .populate(populateOrderProducts())
+        .populate('statusHistory.actor', 'name email');
+
+      // Orders marked shipped by hand have no carrier details to share
+      if (status === 'shipped') {
+        try {
+          await sendShippedEmail(
+            order.shippingAddress.email,
+            order.shippingAddress.name,
+            order
+          );
+        } catch (emailError) {
+          console.error('Failed to send shipped email:', emailError);
         }
       }
-    });
-  } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch products'
-    });
+
+      // Send delivery email if status is delivered
+      if (status === 'delivered') {
+        try {
+          await sendDeliveryEmail(
+            order.shippingAddress.email,
+            order.shippingAddress.name,
+            order
+          );
+        } catch (emailError) {
+          console.error('Failed to send delivery email:', emailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Order updated successfully',
+        data: { order }
+      });
+    } catch (error) {
+      console.error('Update order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update order'
+      });
+    }
   }
-});
+);
 
-// Create product with enhanced error handling
-router.post('/products', 
-  productUpload,
+// Record a parcel handed to a carrier with some or all of the order's
+// unshipped items. The order becomes partially shipped or shipped to match.
+router.post('/orders/:id/shipments',
+  requirePermission('orders:ship'),
   [
-    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1-100 characters'),
-    body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be between 1-2000 characters'),
-    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-    body('discountPrice').optional().isFloat({ min: 0 }).withMessage('Discount price must be a positive number'),
-    body('category').isIn(['painting', 'apparel', 'accessories']).withMessage('Invalid category'),
-    body('size').optional().trim().isLength({ max: 50 }).withMessage('Size must be less than 50 characters'),
-    body('material').optional().trim().isLength({ max: 100 }).withMessage('Material must be less than 100 characters'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*').isMongoId().withMessage('Valid order item ID required'),
+    body('carrier').isIn(Object.keys(CARRIERS)).withMessage(`Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`),
+    body('awb').trim().matches(/^[A-Za-z0-9-]{4,40}$/).withMessage('Tracking number must be 4-40 letters, digits or dashes'),
+    body('trackingUrl').optional({ checkFalsy: true }).isURL({ protocols: ['https', 'http'], require_protocol: true }).withMessage('Tracking URL must be a valid link'),
+    body('shippedAt').optional({ checkFalsy: true }).isISO8601().withMessage('Shipped date must be a valid date'),
+    body('expectedDeliveryAt').optional({ checkFalsy: true }).isISO8601().withMessage('Expected delivery must be a valid date'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
   ],
   async (req, res) => {
     try {
@@ -308,31 +514,707 @@ router.post('/products',
         });
       }
 
-      // Check if at least one image is provided
-      if (!req.files || !req.files.images || req.files.images.length === 0) {
-        return res.status(400).json({
+      const { id } = req.params;
+      const { items, carrier, awb, trackingUrl, shippedAt, expectedDeliveryAt, note } = req.body;
+
+      const existing = await Order.findById(id);
+      if (!existing) {
+        return res.status(404).json({
           success: false,
-          message: 'At least one product image is required'
+          message: 'Order not found'
         });
       }
 
-      const { name, description, price, discountPrice, category, size, material, featured, inStock } = req.body;
+      if (existing.shipments.some(shipment => shipment.awb === awb)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This tracking number is already on the order'
+        });
+      }
 
-      // Additional validation for discount price
-      if (discountPrice && parseFloat(discountPrice) >= parseFloat(price)) {
+      if (shippedAt && expectedDeliveryAt && new Date(expectedDeliveryAt) < new Date(shippedAt)) {
         return res.status(400).json({
           success: false,
-          message: 'Discount price must be less than regular price'
+          message: 'Expected delivery cannot be before the shipped date'
         });
       }
 
-      // Process uploaded images
-      const images = req.files.images;
-      const primaryImage = images[0]; // First image is primary
-      const additionalImages = images.slice(1).map(img => ({
-        url: img.path,
-        cloudinaryId: img.filename
-      }));
+      const result = await addShipment(
+        existing,
+        { itemIds: items, carrier, awb, trackingUrl, shippedAt, expectedDeliveryAt },
+        { actor: req.user._id, note }
+      );
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      try {
+        await sendShippedEmail(
+          result.order.shippingAddress.email,
+          result.order.shippingAddress.name,
+          result.order,
+          result.shipment
+        );
+      } catch (emailError) {
+        console.error('Failed to send shipped email:', emailError);
+      }
+
+      const order = await Order.findById(id)
+        .populate('user', 'name email')
+        .populate(populateOrderProducts())
+        .populate('statusHistory.actor', 'name email');
+
+      res.status(201).json({
+        success: true,
+        message: 'Shipment recorded',
+        data: { order }
+      });
+    } catch (error) {
+      console.error('Add shipment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record shipment'
+      });
+    }
+  }
+);
+
+// Check the carrier for the latest on an order's shipments. Tracking is only
+// refreshed on request; nothing polls it in the background.
+router.post('/orders/:id/shipments/refresh', requirePermission('orders:ship'), async (req, res) => {
+  try {
+    const existing = await Order.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (existing.shipments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has no shipments to track'
+      });
+    }
+
+    if (!shipmentTracker) {
+      return res.status(503).json({
+        success: false,
+        message: 'Shipment tracking is not configured'
+      });
+    }
+
+    const { delivered } = await syncOrderTracking(existing);
+
+    const order = await Order.findById(existing._id)
+      .populate('user', 'name email')
+      .populate(populateOrderProducts())
+      .populate('statusHistory.actor', 'name email');
+
+    res.json({
+      success: true,
+      message: delivered ? 'All shipments delivered; order marked delivered' : 'Tracking updated',
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Refresh tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh tracking'
+    });
+  }
+});
+
+// Record the cash collected for a cash on delivery order. A shipped order
+// is marked delivered at the same time.
+router.post('/orders/:id/cod-collected',
+  requirePermission('orders:update'),
+  [
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { amount, note } = req.body;
+
+      const existing = await Order.findById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (existing.paymentMethod !== 'cod') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only cash on delivery orders can be marked as collected'
+        });
+      }
+
+      if (!['shipped', 'delivered'].includes(existing.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Orders that are ${existing.status} cannot be marked as collected`
+        });
+      }
+
+      // Claim the collection so it can only be recorded once
+      const collected = await Order.findOneAndUpdate(
+        { _id: id, 'codCollection.collectedAt': null },
+        {
+          codCollection: {
+            amount: amount !== undefined ? parseFloat(amount) : existing.totalAmount,
+            collectedAt: new Date(),
+            collectedBy: req.user._id,
+            note: note || ''
+          },
+          updatedAt: new Date()
+        },
+        { new: true }
+      );
+
+      if (!collected) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment for this order has already been collected'
+        });
+      }
+
+      // Cash on delivery orders are invoiced once they are paid for
+      await assignInvoiceNumber(collected);
+
+      if (collected.status === 'shipped') {
+        const delivered = await transitionOrderStatus(collected, 'delivered', {
+          actor: req.user._id,
+          actorType: 'admin',
+          note: 'Cash collected on delivery'
+        });
+
+        if (delivered) {
+          try {
+            await sendDeliveryEmail(
+              delivered.shippingAddress.email,
+              delivered.shippingAddress.name,
+              delivered
+            );
+          } catch (emailError) {
+            console.error('Failed to send delivery email:', emailError);
+          }
+        }
+      }
+
+      const order = await Order.findById(id)
+        .populate('user', 'name email')
+        .populate(populateOrderProducts())
+        .populate('statusHistory.actor', 'name email');
+
+      res.json({
+        success: true,
+        message: 'Cash collection recorded',
+        data: { order }
+      });
+    } catch (error) {
+      console.error('COD collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record cash collection'
+      });
+    }
+  }
+);
+
+// Refund an order in full, or only the given line items
+router.post('/orders/:id/refund',
+  requirePermission('orders:refund'),
+  [
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3-500 characters'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.itemId').isMongoId().withMessage('Valid order item ID required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { items, reason, restock } = req.body;
+
+      const order = await Order.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      const result = await refundOrder(order, {
+        items: items && items.map(item => ({ itemId: item.itemId, quantity: parseInt(item.quantity) })),
+        reason,
+        refundedBy: req.user._id,
+        restock: restock === true || restock === 'true'
+      });
+
+      if (result.error) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      // Send refund email
+      try {
+        await sendRefundEmail(
+          order.shippingAddress.email,
+          order.shippingAddress.name,
+          result.order,
+          result.refund
+        );
+      } catch (emailError) {
+        console.error('Failed to send refund email:', emailError);
+      }
+
+      const updatedOrder = await Order.findById(order._id)
+        .populate('user', 'name email')
+        .populate(populateOrderProducts('name image'))
+        .populate('statusHistory.actor', 'name email');
+
+      res.json({
+        success: true,
+        message: 'Refund issued successfully',
+        data: {
+          order: updatedOrder,
+          refund: result.refund
+        }
+      });
+    } catch (error) {
+      console.error('Refund order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue refund: ' + (error.error?.description || error.message)
+      });
+    }
+  }
+);
+
+// Download the GST invoice for any order
+router.get('/orders/:id/invoice', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.invoiceNumber) {
+      if (!canInvoice(order)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice is available once the order is paid'
+        });
+      }
+      // Orders paid before invoice numbering get their number on first download
+      await assignInvoiceNumber(order);
+    }
+
+    const pdf = await generateInvoicePdf(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoiceFilename(order)}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Admin invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+});
+
+// Get all return requests
+router.get('/returns', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const returns = await ReturnRequest.find(query)
+      .populate('user', 'name email')
+      .populate('order', 'totalAmount status paymentMethod shippingAddress createdAt')
+      .populate('items.product', 'name image')
+      .populate('statusHistory.actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns'
+    });
+  }
+});
+
+// Get a single return request
+router.get('/returns/:id', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('order')
+      .populate('items.product', 'name image variants')
+      .populate('statusHistory.actor', 'name email');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest }
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return'
+    });
+  }
+});
+
+// Move a return request on: approve or reject it, mark the items received,
+// then refund them or send the exchange
+router.put('/returns/:id',
+  requirePermission('returns:receive', 'returns:manage'),
+  [
+    body('status').isIn(['approved', 'rejected', 'received', 'refunded', 'exchanged']).withMessage('Status must be one of: approved, rejected, received, refunded, exchanged'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+    body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+    body('refundReference').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Refund reference must be between 3-100 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { status, note, restock, refundReference } = req.body;
+
+      // Receiving staff handle the parcel; deciding on and refunding returns needs returns:manage
+      if (!RECEIVE_RETURN_STATUSES.includes(status) && !hasPermission(req.user, 'returns:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to do this'
+        });
+      }
+
+      const returnRequest = await ReturnRequest.findById(req.params.id);
+      if (!returnRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Return not found'
+        });
+      }
+
+      if (!canTransitionReturn(returnRequest.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change return status from ${returnRequest.status} to ${status}`
+        });
+      }
+
+      if (status === 'rejected' && !note) {
+        return res.status(400).json({
+          success: false,
+          message: 'Give the customer a reason when rejecting a return'
+        });
+      }
+
+      const order = await Order.findById(returnRequest.order);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      const historyOptions = { actor: req.user._id, actorType: 'admin', note: note || '' };
+      const statusChanged = () => res.status(409).json({
+        success: false,
+        message: 'Return status changed in the meantime, please reload and try again'
+      });
+
+      let updated;
+      let orderRefund;
+
+      if (status === 'received') {
+        const shouldRestock = restock === true || restock === 'true';
+        updated = await transitionReturnStatus(returnRequest, status, {
+          ...historyOptions,
+          update: { restocked: shouldRestock }
+        });
+        if (!updated) return statusChanged();
+        if (shouldRestock) await restockReturnItems(updated);
+
+      } else if (status === 'exchanged') {
+        const unavailable = await takeExchangeStock(returnRequest);
+        if (unavailable) {
+          return res.status(409).json({
+            success: false,
+            message: `No stock left to exchange ${unavailable.sku || 'an item'}; refund the return instead`
+          });
+        }
+        updated = await transitionReturnStatus(returnRequest, status, historyOptions);
+        if (!updated) {
+          await releaseExchangeStock(returnRequest);
+          return statusChanged();
+        }
+
+      } else if (status === 'refunded') {
+        // Claim the return first so two admins cannot refund it twice
+        updated = await transitionReturnStatus(returnRequest, status, historyOptions);
+        if (!updated) return statusChanged();
+
+        let result;
+        try {
+          result = await refundReturnItems(updated, order, {
+            refundedBy: req.user._id,
+            reference: refundReference
+          });
+        } catch (refundError) {
+          result = { error: refundError.error?.description || refundError.message, failed: true };
+        }
+
+        if (result.error) {
+          await ReturnRequest.updateOne(
+            { _id: updated._id, status: 'refunded' },
+            { status: returnRequest.status, $pop: { statusHistory: 1 } }
+          );
+          return res.status(result.failed ? 502 : result.status || 400).json({
+            success: false,
+            message: result.failed ? `Failed to issue refund: ${result.error}` : result.error
+          });
+        }
+
+        updated.refund = result.refund;
+        await updated.save();
+        orderRefund = result.orderRefund;
+
+      } else {
+        updated = await transitionReturnStatus(returnRequest, status, historyOptions);
+        if (!updated) return statusChanged();
+      }
+
+      // Keep the customer posted
+      try {
+        const emailOrder = await Order.findById(order._id);
+        await sendReturnUpdateEmail(
+          emailOrder.shippingAddress.email,
+          emailOrder.shippingAddress.name,
+          updated,
+          emailOrder
+        );
+        if (orderRefund) {
+          await sendRefundEmail(emailOrder.shippingAddress.email, emailOrder.shippingAddress.name, emailOrder, orderRefund);
+        }
+      } catch (emailError) {
+        console.error('Failed to send return update email:', emailError);
+      }
+
+      const populated = await ReturnRequest.findById(updated._id)
+        .populate('user', 'name email')
+        .populate('order')
+        .populate('items.product', 'name image')
+        .populate('statusHistory.actor', 'name email');
+
+      res.json({
+        success: true,
+        message: `Return ${status}`,
+        data: { returnRequest: populated }
+      });
+    } catch (error) {
+      console.error('Update return error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update return'
+      });
+    }
+  }
+);
+
+// Get all products
+router.get('/products', requirePermission('products:read'), async (req, res) => {
+  try {    
+    const { page = 1, limit = 50, category, search, archived = 'false' } = req.query;
+    const query = {};
+
+    // archived=true lists only archived products, archived=all lists everything
+    if (archived === 'true') query.archivedAt = { $ne: null };
+    else if (archived !== 'all') query.archivedAt = null;
+
+    if (category) query.category = category;
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    const products = await Product.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Product.countDocuments(query);
+
+    // Transform products to include proper ID
+    const transformedProducts = products.map(product => ({
+      ...product.toObject(),
+      id: product._id.toString()
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        products: transformedProducts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+});
+
+// Create product with enhanced error handling
+router.post('/products',
+  requirePermission('products:write'),
+  productUpload,
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1-100 characters'),
+    body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be between 1-2000 characters'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('discountPrice').optional().isFloat({ min: 0 }).withMessage('Discount price must be a positive number'),
+    body('category').isIn(['painting', 'apparel', 'accessories']).withMessage('Invalid category'),
+    body('size').optional().trim().isLength({ max: 50 }).withMessage('Size must be less than 50 characters'),
+    body('material').optional().trim().isLength({ max: 100 }).withMessage('Material must be less than 100 characters'),
+    body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Check if at least one image is provided
+      if (!req.files || !req.files.images || req.files.images.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one product image is required'
+        });
+      }
+
+      const { name, description, price, discountPrice, category, size, material, featured, stockQuantity } = req.body;
+
+      // Additional validation for discount price
+      if (discountPrice && parseFloat(discountPrice) >= parseFloat(price)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount price must be less than regular price'
+        });
+      }
+
+      const shippingFields = parseShippingFields(req.body);
+      if (shippingFields.error) {
+        return res.status(400).json({ success: false, message: shippingFields.error });
+      }
+
+      // Variants carry their own stock; new variants start with the stock given for them
+      let variants = [];
+      if (req.body.variants) {
+        const result = parseVariants(req.body.variants, parseFloat(price));
+        if (result.error) {
+          return res.status(400).json({ success: false, message: result.error });
+        }
+        variants = result.variants.map(({ _id, ...variant }) => variant);
+
+        const takenSku = await findSkuConflict(variants);
+        if (takenSku) {
+          return res.status(400).json({
+            success: false,
+            message: `SKU already in use by another product: ${takenSku}`
+          });
+        }
+      }
+
+      // Process uploaded images
+      const images = req.files.images;
+      const primaryImage = images[0]; // First image is primary
+      const additionalImages = images.slice(1).map(img => ({
+        url: img.path,
+        cloudinaryId: img.filename
+      }));
 
       // Process uploaded video (optional)
       let videoData = null;
@@ -346,228 +1228,692 @@ router.post('/products',
         };
       }
 
-      const product = new Product({
-        name,
-        description,
-        price: parseFloat(price),
-        discountPrice: discountPrice ? parseFloat(discountPrice) : undefined,
-        category,
-        size: size || '',
-        material: material || '',
-        image: primaryImage.path,
-        cloudinaryId: primaryImage.filename,
-        additionalImages,
-        video: videoData,
-        featured: featured === 'true',
-        inStock: inStock !== 'false'
+      const product = new Product({
+        name,
+        description,
+        price: parseFloat(price),
+        discountPrice: discountPrice ? parseFloat(discountPrice) : undefined,
+        category,
+        size: size || '',
+        material: material || '',
+        image: primaryImage.path,
+        cloudinaryId: primaryImage.filename,
+        additionalImages,
+        video: videoData,
+        featured: featured === 'true',
+        variants,
+        stockQuantity: stockQuantity !== undefined ? parseInt(stockQuantity) : 1,
+        ...shippingFields.fields
+      });
+
+      await product.save();
+      // Transform product to include proper ID
+      const transformedProduct = {
+        ...product.toObject(),
+        id: product._id.toString()
+      };
+
+      res.status(201).json({
+        success: true,
+        message: 'Product created successfully',
+        data: { product: transformedProduct }
+      });
+    } catch (error) {
+      console.error('Create product error:', error);
+      
+      // Clean up uploaded files if product creation fails
+      if (req.files) {
+        if (req.files.images) {
+          for (const img of req.files.images) {
+            try {
+              await cloudinary.uploader.destroy(img.filename);
+            } catch (cleanupError) {
+              console.error('Failed to cleanup image:', cleanupError);
+            }
+          }
+        }
+        if (req.files.video && req.files.video[0]) {
+          try {
+            await cloudinary.uploader.destroy(req.files.video[0].filename);
+          } catch (cleanupError) {
+            console.error('Failed to cleanup video:', cleanupError);
+          }
+        }
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create product: ' + error.message
+      });
+    }
+  }
+);
+
+// Update product
+router.put('/products/:id',
+  requirePermission('products:write'),
+  productUpload,
+  async (req, res) => {
+    try {      
+      const { id } = req.params;
+      const updateData = { ...req.body };
+
+      // Stock is only changed through the stock adjustment endpoint
+      delete updateData.stockQuantity;
+      delete updateData.reservedQuantity;
+      delete updateData.inStock;
+
+      // Archiving goes through the archive and restore endpoints
+      delete updateData.archivedAt;
+      delete updateData.archivedBy;
+
+      // Shipping fields arrive flat from the form and are set individually
+      const shippingFields = parseShippingFields(updateData);
+      if (shippingFields.error) {
+        return res.status(400).json({ success: false, message: shippingFields.error });
+      }
+      for (const name of ['weight', 'length', 'width', 'height', 'shippingClass']) {
+        delete updateData[name];
+      }
+      Object.assign(updateData, shippingFields.fields);
+
+      // Handle boolean fields
+      if (updateData.featured !== undefined) {
+        updateData.featured = updateData.featured === 'true';
+      }
+
+      // Handle discount price validation
+      if (updateData.discountPrice && updateData.price) {
+        if (parseFloat(updateData.discountPrice) >= parseFloat(updateData.price)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Discount price must be less than regular price'
+          });
+        }
+      }
+
+      // Convert price fields to numbers
+      if (updateData.price) {
+        updateData.price = parseFloat(updateData.price);
+      }
+      if (updateData.discountPrice) {
+        updateData.discountPrice = parseFloat(updateData.discountPrice);
+      }
+
+      // Variants are replaced as a list; existing ones are matched by _id so that
+      // their stock and any reservations held by pending orders carry over
+      if (updateData.variants !== undefined) {
+        const existingProduct = await Product.findById(id);
+        if (!existingProduct) {
+          return res.status(404).json({
+            success: false,
+            message: 'Product not found'
+          });
+        }
+
+        const result = parseVariants(updateData.variants, updateData.price || existingProduct.price);
+        if (result.error) {
+          return res.status(400).json({ success: false, message: result.error });
+        }
+
+        const variants = [];
+        for (const variant of result.variants) {
+          if (!variant._id) {
+            const { _id, ...newVariant } = variant;
+            variants.push(newVariant);
+            continue;
+          }
+
+          const existing = existingProduct.variants.id(variant._id);
+          if (!existing) {
+            return res.status(400).json({
+              success: false,
+              message: `Unknown variant: ${variant._id}`
+            });
+          }
+
+          // Stock of existing variants is only changed through the stock adjustment endpoint
+          variants.push({
+            ...variant,
+            _id: existing._id,
+            stockQuantity: existing.stockQuantity,
+            reservedQuantity: existing.reservedQuantity
+          });
+        }
+
+        const removedWithReservations = existingProduct.variants.find(existing =>
+          existing.reservedQuantity > 0 &&
+          !variants.some(variant => variant._id && variant._id.equals(existing._id))
+        );
+        if (removedWithReservations) {
+          return res.status(400).json({
+            success: false,
+            message: `Variant ${removedWithReservations.sku} has orders awaiting payment and cannot be removed`
+          });
+        }
+
+        const hadVariants = existingProduct.variants.length > 0;
+        if (hadVariants !== (variants.length > 0) && existingProduct.reservedQuantity > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Options cannot be added or removed while orders are awaiting payment'
+          });
+        }
+
+        const takenSku = await findSkuConflict(variants, id);
+        if (takenSku) {
+          return res.status(400).json({
+            success: false,
+            message: `SKU already in use by another product: ${takenSku}`
+          });
+        }
+
+        updateData.variants = variants;
+      }
+
+      // Handle new file uploads
+      if (req.files && (req.files.images || req.files.video)) {
+        const product = await Product.findById(id);
+        
+        // Handle new images
+        if (req.files.images && req.files.images.length > 0) {
+          // Delete old images from Cloudinary
+          if (product) {
+            await destroyProductMedia(product.allImages);
+          }
+          
+          // Process new images
+          const images = req.files.images;
+          const primaryImage = images[0];
+          const additionalImages = images.slice(1).map(img => ({
+            url: img.path,
+            cloudinaryId: img.filename
+          }));
+          
+          updateData.image = primaryImage.path;
+          updateData.cloudinaryId = primaryImage.filename;
+          updateData.additionalImages = additionalImages;
+        }
+        
+        // Handle new video
+        if (req.files.video && req.files.video.length > 0) {
+          // Delete old video from Cloudinary
+          if (product && product.video) {
+            await destroyProductMedia([product.video]);
+          }
+          
+          const video = req.files.video[0];
+          updateData.video = {
+            url: video.path,
+            cloudinaryId: video.filename,
+            fileSize: video.size,
+            mimeType: video.mimetype
+          };
+        }
+      }
+
+      updateData.updatedAt = new Date();
+
+      let product = await Product.findByIdAndUpdate(id, updateData, { new: true });
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      // Variant changes affect the product's stock totals
+      if (updateData.variants !== undefined) {
+        await refreshInStock(id);
+        product = await Product.findById(id);
+      }
+
+      // Transform product to include proper ID
+      const transformedProduct = {
+        ...product.toObject(),
+        id: product._id.toString()
+      };
+
+      res.json({
+        success: true,
+        message: 'Product updated successfully',
+        data: { product: transformedProduct }
+      });
+    } catch (error) {
+      console.error('Update product error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update product: ' + error.message
+      });
+    }
+  }
+);
+
+// Adjust product stock (positive to restock, negative to write off)
+router.post('/products/:id/stock',
+  requirePermission('inventory:manage'),
+  [
+    body('adjustment').isInt().not().equals('0').withMessage('Adjustment must be a non-zero integer'),
+    body('variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+    body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('Reason must be between 3-200 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const adjustment = parseInt(req.body.adjustment);
+      const { reason, variantId } = req.body;
+
+      const existing = await Product.findById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      // Products with variants keep their stock on each variant
+      if (existing.variants.length > 0 && !variantId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variant ID is required for products with variants'
+        });
+      }
+      if (variantId && !existing.variants.id(variantId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+
+      // Guard against taking stock below zero in the same atomic update
+      const minimum = Math.max(0, -adjustment);
+      const previous = variantId
+        ? await Product.findOneAndUpdate(
+          { _id: id, variants: { $elemMatch: { _id: variantId, stockQuantity: { $gte: minimum } } } },
+          { $inc: { 'variants.$.stockQuantity': adjustment }, updatedAt: new Date() }
+        )
+        : await Product.findOneAndUpdate(
+          { _id: id, stockQuantity: { $gte: minimum } },
+          { $inc: { stockQuantity: adjustment }, updatedAt: new Date() }
+        );
+
+      if (!previous) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adjustment would take stock below zero'
+        });
+      }
+
+      await refreshInStock(id);
+
+      const previousVariant = variantId ? previous.variants.id(variantId) : null;
+      const previousQuantity = previousVariant ? previousVariant.stockQuantity : previous.stockQuantity;
+
+      const stockAdjustment = await StockAdjustment.create({
+        product: id,
+        variant: previousVariant ? previousVariant._id : undefined,
+        sku: previousVariant ? previousVariant.sku : undefined,
+        quantityChange: adjustment,
+        previousQuantity,
+        newQuantity: previousQuantity + adjustment,
+        reason,
+        adjustedBy: req.user._id
+      });
+
+      const product = await Product.findById(id);
+
+      res.json({
+        success: true,
+        message: 'Stock updated successfully',
+        data: {
+          product: {
+            ...product.toObject(),
+            id: product._id.toString()
+          },
+          adjustment: stockAdjustment
+        }
+      });
+    } catch (error) {
+      console.error('Adjust stock error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust stock'
+      });
+    }
+  }
+);
+
+// Get stock adjustment history for a product
+router.get('/products/:id/stock', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const query = { product: req.params.id };
+
+    const adjustments = await StockAdjustment.find(query)
+      .populate('adjustedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StockAdjustment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get stock history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock history'
+    });
+  }
+});
+
+// Archive a product: it leaves the shop but stays in the database for
+// analytics. It can be restored or purged later.
+router.delete('/products/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, archivedAt: null },
+      { archivedAt: new Date(), archivedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!product) {
+      const exists = await Product.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Product is already archived' : 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product archived successfully',
+      data: { product }
+    });
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive product: ' + error.message
+    });
+  }
+});
+
+// Put an archived product back in the shop
+router.post('/products/:id/restore', requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, archivedAt: { $ne: null } },
+      { archivedAt: null, $unset: { archivedBy: 1 } },
+      { new: true }
+    );
+
+    if (!product) {
+      const exists = await Product.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Product is not archived' : 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product restored successfully',
+      data: { product }
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore product: ' + error.message
+    });
+  }
+});
+
+// Order statuses in which the order may still need the product's stock records
+const OPEN_ORDER_STATUSES = ['pending', 'paid', 'confirmed', 'processing', 'partially_shipped', 'shipped'];
+
+// Permanently delete an archived product and its Cloudinary media. Past orders
+// keep the product's name and image URL in their item snapshots, so images
+// they show are left in Cloudinary.
+router.delete('/products/:id/purge', requirePermission('products:purge'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const product = await Product.findById(id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
       });
+    }
 
-      await product.save();
-      // Transform product to include proper ID
-      const transformedProduct = {
-        ...product.toObject(),
-        id: product._id.toString()
-      };
+    if (!product.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive the product before purging it'
+      });
+    }
 
-      res.status(201).json({
-        success: true,
-        message: 'Product created successfully',
-        data: { product: transformedProduct }
+    const [openOrder, returnableOrder, openReturn] = await Promise.all([
+      Order.exists({ 'items.product': product._id, status: { $in: OPEN_ORDER_STATUSES } }),
+      Order.exists({ 'items.product': product._id, ...returnableOrdersFilter() }),
+      ReturnRequest.exists({ 'items.product': product._id, status: { $in: OPEN_RETURN_STATUSES } })
+    ]);
+    if (openOrder || returnableOrder || openReturn) {
+      return res.status(409).json({
+        success: false,
+        message: openOrder
+          ? 'Product is in orders that have not been delivered yet'
+          : returnableOrder
+            ? 'Product is in orders that can still be returned'
+            : 'Product is in returns that are still open'
       });
-    } catch (error) {
-      console.error('Create product error:', error);
-      
-      // Clean up uploaded files if product creation fails
-      if (req.files) {
-        if (req.files.images) {
-          for (const img of req.files.images) {
-            try {
-              await cloudinary.uploader.destroy(img.filename);
-            } catch (cleanupError) {
-              console.error('Failed to cleanup image:', cleanupError);
-            }
-          }
-        }
-        if (req.files.video && req.files.video[0]) {
-          try {
-            await cloudinary.uploader.destroy(req.files.video[0].filename);
-          } catch (cleanupError) {
-            console.error('Failed to cleanup video:', cleanupError);
-          }
-        }
-      }
-      
-      res.status(500).json({
+    }
+
+    // Claim the purge so the media is only removed once
+    const purged = await Product.findOneAndDelete({ _id: id, archivedAt: { $ne: null } });
+    if (!purged) {
+      return res.status(409).json({
         success: false,
-        message: 'Failed to create product: ' + error.message
+        message: 'Product changed in the meantime, please reload and try again'
       });
     }
+
+    await destroyProductMedia([...purged.allImages, purged.video]);
+
+    res.json({
+      success: true,
+      message: 'Product deleted permanently'
+    });
+  } catch (error) {
+    console.error('Purge product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete product: ' + error.message
+    });
   }
-);
+});
 
-// Update product
-router.put('/products/:id',
-  productUpload,
-  async (req, res) => {
-    try {      
-      const { id } = req.params;
-      const updateData = { ...req.body };
+// Get all coupons
+router.get('/coupons', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, active } = req.query;
+    const query = {};
 
-      // Handle boolean fields
-      if (updateData.featured !== undefined) {
-        updateData.featured = updateData.featured === 'true';
-      }
-      if (updateData.inStock !== undefined) {
-        updateData.inStock = updateData.inStock === 'true';
-      }
+    if (active !== undefined) query.isActive = active === 'true';
 
-      // Handle discount price validation
-      if (updateData.discountPrice && updateData.price) {
-        if (parseFloat(updateData.discountPrice) >= parseFloat(updateData.price)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Discount price must be less than regular price'
-          });
-        }
-      }
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
 
-      // Convert price fields to numbers
-      if (updateData.price) {
-        updateData.price = parseFloat(updateData.price);
-      }
-      if (updateData.discountPrice) {
-        updateData.discountPrice = parseFloat(updateData.discountPrice);
-      }
+    const total = await Coupon.countDocuments(query);
 
-      // Handle new file uploads
-      if (req.files && (req.files.images || req.files.video)) {
-        const product = await Product.findById(id);
-        
-        // Handle new images
-        if (req.files.images && req.files.images.length > 0) {
-          // Delete old images from Cloudinary
-          if (product) {
-            // Delete primary image
-            if (product.cloudinaryId) {
-              await cloudinary.uploader.destroy(product.cloudinaryId);
-            }
-            // Delete additional images
-            if (product.additionalImages) {
-              for (const img of product.additionalImages) {
-                await cloudinary.uploader.destroy(img.cloudinaryId);
-              }
-            }
-          }
-          
-          // Process new images
-          const images = req.files.images;
-          const primaryImage = images[0];
-          const additionalImages = images.slice(1).map(img => ({
-            url: img.path,
-            cloudinaryId: img.filename
-          }));
-          
-          updateData.image = primaryImage.path;
-          updateData.cloudinaryId = primaryImage.filename;
-          updateData.additionalImages = additionalImages;
-        }
-        
-        // Handle new video
-        if (req.files.video && req.files.video.length > 0) {
-          // Delete old video from Cloudinary
-          if (product && product.video && product.video.cloudinaryId) {
-            await cloudinary.uploader.destroy(product.video.cloudinaryId);
-          }
-          
-          const video = req.files.video[0];
-          updateData.video = {
-            url: video.path,
-            cloudinaryId: video.filename,
-            fileSize: video.size,
-            mimeType: video.mimetype
-          };
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
         }
       }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    });
+  }
+});
 
-      updateData.updatedAt = new Date();
-
-      const product = await Product.findByIdAndUpdate(id, updateData, { new: true });
-
-      if (!product) {
-        return res.status(404).json({
+// Create coupon
+router.post('/coupons',
+  requirePermission('coupons:manage'),
+  [
+    body('code').exists().withMessage('Code is required'),
+    body('discountType').exists().withMessage('Discount type is required'),
+    body('discountValue').exists().withMessage('Discount value is required'),
+    ...validateCoupon
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Product not found'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      // Transform product to include proper ID
-      const transformedProduct = {
-        ...product.toObject(),
-        id: product._id.toString()
-      };
+      const coupon = new Coupon({ createdBy: req.user._id });
+      for (const field of COUPON_FIELDS) {
+        if (req.body[field] !== undefined) coupon[field] = req.body[field];
+      }
 
-      res.json({
+      await coupon.save();
+
+      res.status(201).json({
         success: true,
-        message: 'Product updated successfully',
-        data: { product: transformedProduct }
+        message: 'Coupon created successfully',
+        data: { coupon }
       });
     } catch (error) {
-      console.error('Update product error:', error);
+      console.error('Create coupon error:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A coupon with this code already exists'
+        });
+      }
       res.status(500).json({
         success: false,
-        message: 'Failed to update product: ' + error.message
+        message: 'Failed to create coupon: ' + error.message
       });
     }
   }
 );
 
-// Delete product
-router.delete('/products/:id', async (req, res) => {
+// Update coupon
+router.put('/coupons/:id', requirePermission('coupons:manage'), validateCoupon, async (req, res) => {
   try {
-    const { id } = req.params;
-    const product = await Product.findById(id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    if (!product) {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'Coupon not found'
       });
     }
 
-    // Delete all media files from Cloudinary
-    if (product.cloudinaryId) {
-      await cloudinary.uploader.destroy(product.cloudinaryId);
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
     }
 
-    // Delete additional images
-    if (product.additionalImages) {
-      for (const img of product.additionalImages) {
-        await cloudinary.uploader.destroy(img.cloudinaryId);
-      }
-    }
+    // Save (rather than findByIdAndUpdate) so the schema checks run
+    await coupon.save();
 
-    // Delete video if exists
-    if (product.video && product.video.cloudinaryId) {
-      await cloudinary.uploader.destroy(product.video.cloudinaryId);
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon: ' + error.message
+    });
+  }
+});
+
+// Delete coupon (orders keep their own copy of the coupon details)
+router.delete('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
 
-    await Product.findByIdAndDelete(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Coupon deleted successfully'
     });
   } catch (error) {
-    console.error('Delete product error:', error);
+    console.error('Delete coupon error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete product: ' + error.message
+      message: 'Failed to delete coupon'
     });
   }
 });
 
 // Get all contacts
-router.get('/contacts', async (req, res) => {
+router.get('/contacts', requirePermission('contacts:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50, status, subject } = req.query;
     const query = {};
@@ -604,7 +1950,7 @@ router.get('/contacts', async (req, res) => {
 });
 
 // Update contact status (auto-delete if resolved)
-router.put('/contacts/:id', async (req, res) => {
+router.put('/contacts/:id', requirePermission('contacts:reply'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -656,9 +2002,15 @@ router.put('/contacts/:id', async (req, res) => {
 });
 
 // Get all users for analytics
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const users = await User.find({}, '_id name email createdAt').sort({ createdAt: -1 });
+    // ?role=staff for every staff member, or a single role
+    const { role } = req.query;
+    const filter = {};
+    if (role === 'staff') filter.role = { $ne: null };
+    else if (ROLES.includes(role)) filter.role = role;
+
+    const users = await User.find(filter, '_id name email role roleAssignedAt createdAt').sort({ createdAt: -1 });
     
     res.json({
       success: true,
@@ -673,4 +2025,106 @@ router.get('/users', async (req, res) => {
   }
 });
 
+// Roles and what each of them may do
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLES.map(role => ({
+        role,
+        permissions: ROLE_PERMISSIONS[role]
+      }))
+    }
+  });
+});
+
+// Give a user a staff role, or take it away with role: null
+router.put('/users/:id/role',
+  requirePermission('roles:manage'),
+  [
+    body('role').custom(value => value === null || ROLES.includes(value)).withMessage(`Role must be null or one of: ${ROLES.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { role } = req.body;
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!user.isVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only verified accounts can be given a role'
+        });
+      }
+
+      // Someone must always be able to assign roles
+      const isLastOwner = async () => {
+        const otherOwners = await User.countDocuments({ role: 'owner', _id: { $ne: user._id } });
+        return otherOwners === 0;
+      };
+      const demotesOwner = user.role === 'owner' && role !== 'owner';
+      if (demotesOwner && await isLastOwner()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last owner'
+        });
+      }
+
+      // Only update if the role is still what was checked above
+      const assignedAt = new Date();
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, role: user.role },
+        { $set: { role, roleAssignedBy: req.user._id, roleAssignedAt: assignedAt } },
+        { new: true, projection: '_id name email role roleAssignedAt createdAt' }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'User changed in the meantime, please reload and try again'
+        });
+      }
+
+      // Another owner may have been demoted at the same time; if that left no
+      // owner, put this one back
+      if (demotesOwner && await isLastOwner()) {
+        await User.updateOne(
+          { _id: user._id, role, roleAssignedAt: assignedAt },
+          { $set: { role: 'owner', roleAssignedBy: user.roleAssignedBy, roleAssignedAt: user.roleAssignedAt } }
+        );
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last owner'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: role ? `Role set to ${role}` : 'Staff role removed',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user role'
+      });
+    }
+  }
+);
+
 export default router;
@@ -1,11 +1,35 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { OAuth2Client } from 'google-auth-library';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { sendVerificationEmail, sendWelcomeEmail } from '../email.js';
-import { generateVerificationCode } from '../utils/generateCode.js';
+import PendingRegistration from '../models/PendingRegistration.js';
+import Session from '../models/Session.js';
+import { sendVerificationEmail, sendWelcomeEmail, sendPasswordResetEmail } from '../email.js';
+import { generateVerificationCode, generateResetToken, hashToken } from '../utils/generateCode.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getPermissions } from '../utils/roles.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl, encryptSecret, decryptSecret, generateRecoveryCodes } from '../utils/totp.js';
+import { TWO_FACTOR_SECRET_FIELDS, verifySecondFactor } from '../utils/twoFactor.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions
+} from '../utils/sessions.js';
+import {
+  VERIFICATION_CODE_TTL_MINUTES,
+  MAX_VERIFICATION_ATTEMPTS,
+  VERIFICATION_RESEND_COOLDOWN_SECONDS,
+  MAX_VERIFICATION_SENDS,
+  PASSWORD_RESET_TTL_MINUTES,
+  PASSWORD_RESET_COOLDOWN_SECONDS,
+  MAX_PASSWORD_RESET_REQUESTS,
+  PASSWORD_RESET_WINDOW_HOURS,
+  PASSWORD_RESET_URL,
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES
+} from '../config/auth.js';
 
 const router = express.Router();
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -32,26 +56,124 @@ const validateProfileUpdate = [
   body('avatar').optional().isURL().withMessage('Avatar must be a valid URL')
 ];
 
+// Either an authenticator code or a recovery code
+const validateSecondFactor = [
+  body('code').optional().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode').optional().isString().isLength({ min: 16, max: 40 }).withMessage('Invalid recovery code'),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('Authentication code or recovery code required')
+];
+
 const validatePasswordChange = [
   body('newPassword').isLength({ min: 8, max: 32 }).withMessage('New password must be 8-32 characters')
 ];
 
-// Helper function to generate JWT
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const AUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'none'
+};
+
+// The refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE_OPTIONS = { ...AUTH_COOKIE_OPTIONS, path: '/api/auth' };
+
+// Set the access and refresh token cookies; both last as long as the session
+const setAuthCookies = (res, { session, accessToken, refreshToken }) => {
+  const maxAge = session.expiresAt.getTime() - Date.now();
+  res.cookie('authToken', accessToken, { ...AUTH_COOKIE_OPTIONS, maxAge });
+  res.cookie('refreshToken', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge });
 };
 
-// Helper function to set HTTP-only cookie
-const setTokenCookie = (res, token) => {
-  res.cookie('authToken', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'none',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+// Options must match the ones the cookies were set with
+const clearAuthCookies = (res) => {
+  res.clearCookie('authToken', AUTH_COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+};
+
+// Start a session for the device the user logged in from
+const startSession = async (req, res, user) => {
+  setAuthCookies(res, await createSession(user, req));
+};
+
+// First login step done for an account with two-factor authentication: hand
+// back a short-lived challenge instead of a session. POST /2fa/verify swaps
+// it and a code for the session.
+const sendTwoFactorChallenge = (res, user) => {
+  const challengeToken = jwt.sign(
+    { userId: user._id, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR_CHALLENGE_TTL_MINUTES}m` }
+  );
+
+  res.json({
+    success: true,
+    message: 'Enter the code from your authenticator app',
+    data: {
+      twoFactorRequired: true,
+      challengeToken
+    }
   });
 };
 
-// Register with email/password (store temporarily, don't save to DB until verified)
+// Issue a fresh verification code for a pending registration and email it.
+// The send is claimed atomically, so the resend cooldown and send limit hold
+// under parallel requests, and given back if the email fails. Pass
+// registration ({ name, passwordHash }) to create or replace the sign-up itself.
+// Returns { pending } or { status, message }.
+const issueVerificationCode = async (email, { registration } = {}) => {
+  const code = generateVerificationCode();
+  const now = new Date();
+  const cooldownStart = new Date(now.getTime() - VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000);
+
+  let pending = null;
+  try {
+    pending = await PendingRegistration.findOneAndUpdate(
+      {
+        email,
+        sendCount: { $lt: MAX_VERIFICATION_SENDS },
+        $or: [{ lastSentAt: null }, { lastSentAt: { $lte: cooldownStart } }]
+      },
+      {
+        $set: {
+          ...registration,
+          codeHash: await PendingRegistration.hashSecret(code, 10),
+          codeExpiresAt: new Date(now.getTime() + VERIFICATION_CODE_TTL_MINUTES * 60 * 1000),
+          attempts: 0,
+          lastSentAt: now
+        },
+        $inc: { sendCount: 1 }
+      },
+      { new: true, upsert: !!registration, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // An upsert collides with an existing sign-up that is still cooling down
+    if (error.code !== 11000) throw error;
+  }
+
+  if (!pending) {
+    const existing = await PendingRegistration.findOne({ email });
+    if (!existing) {
+      return { status: 404, message: 'No pending registration for this email. Please register again.' };
+    }
+    if (existing.sendCount >= MAX_VERIFICATION_SENDS) {
+      return { status: 429, message: 'Too many verification emails have been sent to this address. Please try again later.' };
+    }
+    const wait = Math.max(Math.ceil((existing.lastSentAt.getTime() - cooldownStart.getTime()) / 1000), 1);
+    return { status: 429, message: `Please wait ${wait} seconds before requesting another code` };
+  }
+
+  const emailResult = await sendVerificationEmail(email, code, pending.name);
+  if (!emailResult.success) {
+    await PendingRegistration.updateOne(
+      { _id: pending._id, lastSentAt: now },
+      { $unset: { lastSentAt: 1 }, $inc: { sendCount: -1 } }
+    );
+    return { status: 500, message: 'Failed to send verification email. Please try again.' };
+  }
+
+  return { pending };
+};
+
+// Register with email/password. The user is only created once the email is verified.
 router.post('/register', validateSignup, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -74,29 +196,27 @@ router.post('/register', validateSignup, async (req, res) => {
       });
     }
 
-    // Generate verification code
-    const verificationCode = generateVerificationCode();
-    const verificationCodeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    // Send verification email first
-    const emailResult = await sendVerificationEmail(email, verificationCode, name);
-    if (!emailResult.success) {
-      return res.status(500).json({
+    // The sign-up is kept on the server until the email is verified
+    const result = await issueVerificationCode(email, {
+      registration: {
+        name,
+        passwordHash: await PendingRegistration.hashSecret(password)
+      }
+    });
+    if (!result.pending) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to send verification email. Please try again.'
+        message: result.message
       });
     }
 
-    // Return user data without saving to DB (will be saved on verification)
     res.status(201).json({
       success: true,
       message: 'Registration successful! Please check your email for verification code.',
       data: {
         email,
         name,
-        password, // Temporarily return for frontend storage
-        verificationCode,
-        verificationCodeExpires,
+        verificationCodeExpires: result.pending.codeExpiresAt,
         needsVerification: true
       }
     });
@@ -171,9 +291,12 @@ router.post('/google', async (req, res) => {
       await sendWelcomeEmail(email, name);
     }
 
-    // Generate JWT token and set cookie
-    const token = generateToken(user._id);
-    setTokenCookie(res, token);
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    // Start a session for this device
+    await startSession(req, res, user);
 
     res.json({
       success: true,
@@ -251,14 +374,19 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    // Failed attempts are only reset once the second step is passed too,
+    // so they keep counting against wrong authentication codes
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
     // Reset login attempts and update last login
     await user.resetLoginAttempts();
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token and set cookie
-    const token = generateToken(user._id);
-    setTokenCookie(res, token);
+    // Start a session for this device
+    await startSession(req, res, user);
 
     res.json({
       success: true,
@@ -271,7 +399,9 @@ router.post('/login', validateLogin, async (req, res) => {
           avatar: user.avatar,
           isVerified: user.isVerified,
           lastLogin: user.lastLogin,
-          googleId: user.googleId
+          googleId: user.googleId,
+          role: user.role,
+          permissions: getPermissions(user.role)
         }
       }
     });
@@ -285,7 +415,7 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// Verify email with OTP (now saves user to DB)
+// Verify email with OTP and create the user from the pending registration
 router.post('/verify', validateVerification, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -297,87 +427,81 @@ router.post('/verify', validateVerification, async (req, res) => {
       });
     }
 
-    const { email, code, userData } = req.body;
+    const { email, code } = req.body;
 
-    // If userData is provided (from frontend), create new user
-    if (userData) {
-      // Verify the code matches
-      if (userData.verificationCode !== code) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid verification code'
-        });
-      }
-
-      // Check if code has expired
-      if (new Date() > new Date(userData.verificationCodeExpires)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Verification code has expired'
-        });
-      }
-
-      // Create user in database now that they're verified
-      const user = new User({
-        email: userData.email,
-        password: userData.password,
-        name: userData.name,
-        isVerified: true,
-        lastLogin: new Date()
+    const pending = await PendingRegistration.findOne({ email });
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending registration for this email. Please register again.'
       });
+    }
 
-      await user.save();
-
-      // Send welcome email
-      await sendWelcomeEmail(email, user.name);
-
-      // Generate token and set cookie
-      const token = generateToken(user._id);
-      setTokenCookie(res, token);
+    if (pending.codeExpiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code has expired. Please request a new one.'
+      });
+    }
 
-      return res.json({
-        success: true,
-        message: 'Email verified successfully! Welcome to Rangleela!',
-        data: {
-          user: {
-            id: user._id,
-            email: user.email,
-            name: user.name,
-            avatar: user.avatar,
-            isVerified: user.isVerified,
-            lastLogin: user.lastLogin
-          }
-        }
+    // Count the attempt before checking the code, so parallel guesses cannot get past the limit
+    const counted = await PendingRegistration.findOneAndUpdate(
+      { _id: pending._id, codeHash: pending.codeHash, attempts: { $lt: MAX_VERIFICATION_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!counted) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect codes. Please request a new verification code.'
       });
     }
 
-    // Fallback for existing users
-    const user = await User.findOne({ 
-      email,
-      verificationCode: code,
-      verificationCodeExpires: { $gt: new Date() }
-    });
+    if (!(await counted.compareCode(code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        attemptsRemaining: MAX_VERIFICATION_ATTEMPTS - counted.attempts
+      });
+    }
 
-    if (!user) {
+    // Use the registration up, so the code works only once
+    const registration = await PendingRegistration.findOneAndDelete({ _id: pending._id, codeHash: counted.codeHash });
+    if (!registration) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired verification code'
       });
     }
 
-    // Mark user as verified
-    user.isVerified = true;
-    user.verificationCode = undefined;
-    user.verificationCodeExpires = undefined;
-    user.lastLogin = new Date();
-    await user.save();
+    // Create user in database now that they're verified
+    const user = new User({
+      email: registration.email,
+      password: registration.passwordHash,
+      name: registration.name,
+      isVerified: true,
+      lastLogin: new Date()
+    });
+    user.$locals.passwordHashed = true;
+
+    try {
+      await user.save();
+    } catch (error) {
+      // The address signed up another way (e.g. Google) in the meantime
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      throw error;
+    }
 
     // Send welcome email
-    await sendWelcomeEmail(email, user.name);
+    await sendWelcomeEmail(user.email, user.name);
 
-    // Generate token and set cookie
-    const token = generateToken(user._id);
-    setTokenCookie(res, token);
+    // Start a session for this device
+    await startSession(req, res, user);
 
     res.json({
       success: true,
@@ -416,18 +540,13 @@ router.post('/resend-verification', [
       });
     }
 
-    const { email, userData } = req.body;
+    const { email } = req.body;
 
-    // Generate new verification code
-    const verificationCode = generateVerificationCode();
-    const verificationCodeExpires = new Date(Date.now() + 10 * 60 * 1000);
-
-    // Send verification email
-    const emailResult = await sendVerificationEmail(email, verificationCode, userData?.name || 'User');
-    if (!emailResult.success) {
-      return res.status(500).json({
+    const result = await issueVerificationCode(email);
+    if (!result.pending) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to send verification email'
+        message: result.message
       });
     }
 
@@ -435,8 +554,7 @@ router.post('/resend-verification', [
       success: true,
       message: 'Verification code sent successfully!',
       data: {
-        verificationCode,
-        verificationCodeExpires
+        verificationCodeExpires: result.pending.codeExpiresAt
       }
     });
 
@@ -463,7 +581,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
           isVerified: req.user.isVerified,
           lastLogin: req.user.lastLogin,
           createdAt: req.user.createdAt,
-          googleId: req.user.googleId
+          googleId: req.user.googleId,
+          role: req.user.role,
+          permissions: getPermissions(req.user.role),
+          twoFactorEnabled: req.user.twoFactor.enabled
         }
       }
     });
@@ -571,6 +692,9 @@ router.put('/change-password', authenticateToken, validatePasswordChange, async
 
     freshUser.password = newPassword;
     await freshUser.save();
+
+    // Keep this device logged in and sign out the others
+    await revokeUserSessions(freshUser._id, 'password_change', { except: req.authSession._id });
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -585,14 +709,603 @@ router.put('/change-password', authenticateToken, validatePasswordChange, async
   }
 });
 
-// Logout (clear cookie)
-router.post('/logout', (req, res) => {
+// Ask for a password reset link. The answer is the same whether or not the
+// email has an account, and whether or not an email was actually sent.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid email required'
+      });
+    }
+
+    const { email } = req.body;
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const now = new Date();
+    const cooldownStart = new Date(now.getTime() - PASSWORD_RESET_COOLDOWN_SECONDS * 1000);
+    const windowStart = new Date(now.getTime() - PASSWORD_RESET_WINDOW_HOURS * 60 * 60 * 1000);
+    const { token, tokenHash } = generateResetToken();
+    const tokenFields = {
+      passwordResetTokenHash: tokenHash,
+      passwordResetExpires: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      passwordResetRequestedAt: now
+    };
+    const outsideCooldown = {
+      $or: [{ passwordResetRequestedAt: null }, { passwordResetRequestedAt: { $lte: cooldownStart } }]
+    };
+
+    // Claim the send atomically: either another request in the current
+    // window, or the first of a new one. A new link replaces the old one.
+    let user = await User.findOneAndUpdate(
+      {
+        email,
+        ...outsideCooldown,
+        passwordResetWindowStart: { $gt: windowStart },
+        passwordResetRequests: { $lt: MAX_PASSWORD_RESET_REQUESTS }
+      },
+      { $set: tokenFields, $inc: { passwordResetRequests: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      user = await User.findOneAndUpdate(
+        {
+          email,
+          ...outsideCooldown,
+          $and: [{ $or: [{ passwordResetWindowStart: null }, { passwordResetWindowStart: { $lte: windowStart } }] }]
+        },
+        { $set: { ...tokenFields, passwordResetWindowStart: now, passwordResetRequests: 1 } },
+        { new: true }
+      );
+    }
+
+    // Unknown email or rate limited
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetUrl = `${PASSWORD_RESET_URL}?token=${token}`;
+    const emailResult = await sendPasswordResetEmail(user.email, user.name, resetUrl, PASSWORD_RESET_TTL_MINUTES);
+    if (!emailResult.success) {
+      console.error('Failed to send password reset email:', emailResult.error);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset. Please try again.'
+    });
+  }
+});
+
+// Set a new password with the token from a reset link. Every existing
+// session is signed out, so the user logs in again with the new password.
+router.post('/reset-password', [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Valid reset token required'),
+  body('newPassword').isLength({ min: 8, max: 32 }).withMessage('New password must be 8-32 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    // Use the token up before changing anything, so it works only once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    // Following the link proves the user owns the email
+    user.isVerified = true;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Sign out every device, including any the token was stolen from
+    await revokeUserSessions(user._id, 'password_reset');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password. Please try again.'
+    });
+  }
+});
+
+// Second login step: swap the challenge from /login or /google and an
+// authenticator or recovery code for a session
+router.post('/2fa/verify', [
+  body('challengeToken').isJWT().withMessage('Login challenge required'),
+  ...validateSecondFactor
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please log in again'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await user.incLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Reset login attempts and update last login
+    await user.resetLoginAttempts();
+    const lastLogin = new Date();
+    await User.updateOne({ _id: user._id }, { $set: { lastLogin } });
+
+    // Start a session for this device
+    await startSession(req, res, user);
+
+    res.json({
+      success: true,
+      message: 'Login successful!',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          avatar: user.avatar,
+          isVerified: user.isVerified,
+          lastLogin,
+          googleId: user.googleId,
+          role: user.role,
+          permissions: getPermissions(user.role)
+        },
+        // Let the user know when they are running out of recovery codes
+        ...(method === 'recovery_code' && {
+          recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length - 1
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// Start turning on two-factor authentication. The secret only takes effect
+// once a code from the app is confirmed with /2fa/enable.
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm the first code from the app and turn two-factor authentication on.
+// Recovery codes are returned once and never again.
+router.post('/2fa/enable', authenticateToken, [
+  body('code').matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+    const enabled = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodeHashes': recovery.hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      },
+      { new: true }
+    );
+    if (!enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor setup changed in the meantime, please start again'
+      });
+    }
+
+    // Other devices logged in with the password alone
+    await revokeUserSessions(user._id, 'two_factor_enabled', { except: req.authSession._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe.',
+      data: { recoveryCodes: recovery.codes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn on two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes, e.g. when they are running out
+router.post('/2fa/recovery-codes', authenticateToken, validateSecondFactor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodeHashes': recovery.hashes } }
+    );
+
+    res.json({
+      success: true,
+      message: 'New recovery codes created. The old ones no longer work.',
+      data: { recoveryCodes: recovery.codes }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recovery codes'
+    });
+  }
+});
+
+// Turn two-factor authentication off. Staff have to keep it on.
+router.post('/2fa/disable', authenticateToken, validateSecondFactor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts must keep two-factor authentication on'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodeHashes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off two-factor authentication'
+    });
+  }
+});
+
+// Swap the refresh token cookie for new tokens when the access token expires
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies;
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.user).select('-password');
+    if (!user || !user.isVerified) {
+      await revokeUserSessions(result.session.user, 'revoked');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    setAuthCookies(res, result);
+    res.json({
+      success: true,
+      message: 'Session refreshed'
+    });
+
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// Devices the user is logged in on
+router.get('/sessions', authenticateToken, async (req, res) => {
   try {
-    res.clearCookie('authToken', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'none' // Must match the original cookie setting
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.lastIp || session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
     });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (session._id.equals(req.authSession._id)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device logged out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out device'
+    });
+  }
+});
+
+// Log out everywhere, this device included
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'logout_all');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all devices'
+    });
+  }
+});
+
+// Logout: end this device's session and clear the cookies
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies;
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken, 'logout');
+    }
+
+    clearAuthCookies(res);
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -1,26 +1,38 @@
 import express from 'express';
-import Razorpay from 'razorpay';
-import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import WebhookEvent from '../models/WebhookEvent.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { sendOrderConfirmationEmail } from '../email.js';
+import { idempotency } from '../middleware/idempotency.js';
+import paymentProvider, { getPaymentProvider } from '../config/payment.js';
+import { reserveOrderItems, releaseStock } from '../utils/inventory.js';
+import { priceOrderItems, quoteOrder } from '../utils/pricing.js';
+import { getCodIneligibility } from '../utils/cod.js';
+import { COD_FEE } from '../config/cod.js';
+import { evaluateCoupon, redeemCoupon, unredeemCoupon } from '../utils/coupons.js';
+import { markOrderPaid, markOrderFailed, sendOrderConfirmationOnce, statusHistoryEntry, cancelOrder, refundLateCapture, settleRefundStatus, canInvoice } from '../utils/orders.js';
+import { sendOrderCancelledEmail, sendAdminOrderCancelledEmail, sendRefundEmail, sendAdminLatePaymentEmail } from '../email.js';
+import { staffEmailsWith } from '../utils/roles.js';
+import { assignInvoiceNumber, generateInvoicePdf, invoiceFilename } from '../utils/invoice.js';
+import { populateOrderProducts } from '../utils/orderItems.js';
+import { roundMoney } from '../utils/money.js';
 
 const router = express.Router();
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Statuses an order can be in once payment has been received
+const PAID_STATUSES = ['paid', 'processing', 'partially_shipped', 'shipped', 'delivered', 'partially_refunded'];
 
-// Apply authentication to all routes
-router.use(authenticateToken);
+// Fields hidden from customers when they view their own orders
+const CUSTOMER_ORDER_PROJECTION = '-statusHistory.actor -refunds.refundedBy -razorpaySignature -codCollection.collectedBy -shipments.createdBy';
 
-// Create Razorpay order
-router.post('/create-order', [
-  body('items').isArray().withMessage('Items must be an array'),
+// Validation shared by every way of placing an order
+const validateOrderRequest = [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('shippingAddress').isObject().withMessage('Shipping address is required'),
   body('shippingAddress.name')
     .trim()
@@ -42,8 +54,139 @@ router.post('/create-order', [
     .isLength({ min: 2, max: 50 }).withMessage('State must be 2-50 characters'),
   body('shippingAddress.pincode')
     .trim()
-    .matches(/^\d{6}$/).withMessage('Pincode must be 6 digits')
-], async (req, res) => {
+    .matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('couponCode').optional({ values: 'falsy' }).trim().isLength({ max: 30 }).withMessage('Invalid coupon code')
+];
+
+// Why a quote cannot be turned into an order, as { status, message, itemErrors }, or null
+const getQuoteProblem = (quote) => {
+  if (quote.error || quote.itemErrors.length > 0) {
+    return {
+      status: 400,
+      message: quote.error || quote.itemErrors[0].message,
+      itemErrors: quote.itemErrors
+    };
+  }
+  if (quote.couponError) {
+    return { status: 400, message: quote.couponError };
+  }
+  return null;
+};
+
+// Take the coupon use and stock a quote needs, so the coupon's limits cannot
+// be overshot and the same piece can't be sold twice. The coupon use is held
+// by the order about to be created with the given id.
+// Returns { status, message } if either is no longer available, or null.
+const holdQuote = async ({ coupon, orderItems }, { user, orderId }) => {
+  if (coupon) {
+    const couponProblem = await redeemCoupon(coupon, { user, order: orderId });
+    if (couponProblem) {
+      return { status: 409, message: couponProblem };
+    }
+  }
+
+  const unavailableItem = await reserveOrderItems(orderItems);
+  if (unavailableItem) {
+    if (coupon) {
+      await unredeemCoupon(coupon._id, orderId);
+    }
+    const product = await Product.findById(unavailableItem.product).select('name');
+    return {
+      status: 409,
+      message: `Product no longer available in the requested quantity: ${product ? product.name : unavailableItem.product}`
+    };
+  }
+
+  return null;
+};
+
+// Give back what holdQuote took when the order could not be created
+const releaseQuote = async ({ coupon, orderItems }, orderId) => {
+  for (const item of orderItems) {
+    await releaseStock(item.product, item.quantity, item.variant);
+  }
+  if (coupon) {
+    await unredeemCoupon(coupon._id, orderId);
+  }
+};
+
+// Order fields taken from a quote
+const orderFieldsFromQuote = ({ orderItems, subtotal, coupon, discountAmount, tax, shipping }) => ({
+  items: orderItems,
+  subtotal,
+  discountAmount,
+  taxableAmount: tax.taxableAmount,
+  taxAmount: tax.taxAmount,
+  taxBreakdown: {
+    cgst: tax.cgst,
+    sgst: tax.sgst,
+    igst: tax.igst
+  },
+  isInterState: tax.isInterState,
+  shippingCost: shipping.shippingCost,
+  shipping: {
+    zone: shipping.zone,
+    chargeableWeight: shipping.chargeableWeight,
+    freeShipping: shipping.freeShipping
+  },
+  coupon: coupon ? {
+    coupon: coupon._id,
+    code: coupon.code,
+    discountType: coupon.discountType,
+    discountValue: coupon.discountValue,
+    redeemed: true
+  } : undefined
+});
+
+// Payment provider webhook (server-to-server, authenticated by signature rather than cookie)
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = paymentProvider.parseWebhook({
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    // Deliveries are retried until they get a 2xx, so skip events already handled
+    const eventId = event.id;
+    if (eventId && await WebhookEvent.exists({ eventId })) {
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+
+    await handleWebhookEvent(event);
+
+    if (eventId) {
+      await WebhookEvent.updateOne(
+        { eventId },
+        { $setOnInsert: { eventId, event: event.type } },
+        { upsert: true }
+      );
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
+// Apply authentication to all routes, and let clients retry mutating requests safely
+router.use(authenticateToken);
+router.use(idempotency);
+
+// Create an order with the payment provider
+router.post('/create-order', validateOrderRequest, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -54,95 +197,312 @@ router.post('/create-order', [
       });
     }
 
-    const { items, shippingAddress, notes } = req.body;
+    const { items, shippingAddress, notes, couponCode } = req.body;
+
+    // Price, discount, tax and ship the items exactly as the quote endpoint does
+    const quote = await quoteOrder({ items, shippingAddress, couponCode, user: req.user._id });
+    const orderId = new mongoose.Types.ObjectId();
+    const problem = getQuoteProblem(quote) || await holdQuote(quote, { user: req.user._id, orderId });
+    if (problem) {
+      const { status, ...body } = problem;
+      return res.status(status).json({ success: false, ...body });
+    }
+    const finalAmount = Math.round(quote.totalAmount * 100); // Convert to paise
+
+    let order;
+    try {
+      // Create the order with the payment provider
+      const providerOrder = await paymentProvider.createOrder({
+        amount: finalAmount,
+        currency: 'INR',
+        receipt: `order_${Date.now()}`,
+        notes: {
+          userId: req.user._id.toString(),
+          itemCount: quote.orderItems.length.toString()
+        }
+      });
 
-    // Validate and calculate total amount
-    let totalAmount = 0;
-    const orderItems = [];
+      // Create order in database
+      order = new Order({
+        _id: orderId,
+        user: req.user._id,
+        ...orderFieldsFromQuote(quote),
+        totalAmount: finalAmount / 100, // Store in rupees
+        paymentMethod: 'razorpay',
+        paymentProvider: paymentProvider.name,
+        razorpayOrderId: providerOrder.id,
+        shippingAddress,
+        notes: notes || '',
+        status: 'pending',
+        statusHistory: [statusHistoryEntry(undefined, 'pending', {
+          actor: req.user._id,
+          actorType: 'customer',
+          note: 'Order placed'
+        })],
+        inventoryStatus: 'reserved'
+      });
 
-    if (items.length > 20) {
-      return res.status(400).json({ success: false, message: 'Too many items in order' });
+      await order.save();
+    } catch (error) {
+      // Nothing was persisted, so hand the reserved stock and coupon use straight back
+      await releaseQuote(quote, orderId);
+      throw error;
     }
-    for (const item of items) {
-      if (item.quantity > 10) {
-        return res.status(400).json({ success: false, message: 'Quantity too high for item' });
-      }
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product not found: ${item.productId}`
-        });
-      }
 
-      if (!product.inStock) {
-        return res.status(400).json({
-          success: false,
-          message: `Product out of stock: ${product.name}`
-        });
+    res.json({
+      success: true,
+      data: {
+        orderId: order.razorpayOrderId,
+        amount: finalAmount,
+        currency: 'INR',
+        key: paymentProvider.publicKey,
+        provider: paymentProvider.name,
+        order: order
       }
+    });
 
-      // Use discount price if available and valid, otherwise use regular price
-      const effectivePrice = product.discountPrice && product.discountPrice < product.price 
-        ? product.discountPrice 
-        : product.price;
-      
-      const itemTotal = effectivePrice * item.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: effectivePrice, // Store the actual price paid
-        originalPrice: product.price, // Store original price for reference
-        selectedSize: item.selectedSize || ''
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create order'
+    });
+  }
+});
+
+// Place a cash on delivery order. There is nothing to pay online, so the order
+// is confirmed straight away; its stock stays reserved until it ships.
+router.post('/create-cod-order', validateOrderRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Add GST (18%)
-    const gstAmount = totalAmount * 0.18;
-    const finalAmount = Math.round((totalAmount + gstAmount) * 100); // Convert to paise
+    const { items, shippingAddress, notes, couponCode } = req.body;
 
-    // Create Razorpay order
-    const razorpayOrder = await razorpay.orders.create({
-      amount: finalAmount,
-      currency: 'INR',
-      receipt: `order_${Date.now()}`,
-      notes: {
-        userId: req.user._id.toString(),
-        itemCount: orderItems.length.toString()
-      }
+    const quote = await quoteOrder({ items, shippingAddress, couponCode, user: req.user._id });
+    const quoteProblem = getQuoteProblem(quote);
+    if (quoteProblem) {
+      const { status, ...body } = quoteProblem;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    const totalAmount = roundMoney(quote.totalAmount + COD_FEE);
+    const ineligible = getCodIneligibility({ shippingAddress, totalAmount });
+    if (ineligible) {
+      return res.status(400).json({ success: false, message: ineligible });
+    }
+
+    const orderId = new mongoose.Types.ObjectId();
+    const holdProblem = await holdQuote(quote, { user: req.user._id, orderId });
+    if (holdProblem) {
+      const { status, ...body } = holdProblem;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    let order;
+    try {
+      order = new Order({
+        _id: orderId,
+        user: req.user._id,
+        ...orderFieldsFromQuote(quote),
+        codFee: COD_FEE,
+        totalAmount,
+        paymentMethod: 'cod',
+        shippingAddress,
+        notes: notes || '',
+        status: 'confirmed',
+        statusHistory: [statusHistoryEntry(undefined, 'confirmed', {
+          actor: req.user._id,
+          actorType: 'customer',
+          note: 'Cash on delivery order placed'
+        })],
+        inventoryStatus: 'reserved'
+      });
+
+      await order.save();
+    } catch (error) {
+      // Nothing was persisted, so hand the reserved stock and coupon use straight back
+      await releaseQuote(quote, orderId);
+      throw error;
+    }
+
+    await sendOrderConfirmationOnce(order._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed',
+      data: { order }
     });
 
-    // Create order in database
-    const order = new Order({
-      user: req.user._id,
-      items: orderItems,
-      totalAmount: finalAmount / 100, // Store in rupees
-      razorpayOrderId: razorpayOrder.id,
-      shippingAddress,
-      notes: notes || '',
-      status: 'pending'
+  } catch (error) {
+    console.error('Create COD order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create order'
     });
+  }
+});
 
-    await order.save();
+// Quote the totals for a cart and delivery address without placing an order.
+// Items that cannot be bought are reported in itemErrors and left out of the totals.
+router.post('/quote', [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('shippingAddress').isObject().withMessage('Shipping address is required'),
+  body('shippingAddress.state')
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('State must be 2-50 characters'),
+  body('shippingAddress.pincode')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('couponCode').optional({ values: 'falsy' }).trim().isLength({ max: 30 }).withMessage('Invalid coupon code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, shippingAddress, couponCode } = req.body;
+
+    const quote = await quoteOrder({ items, shippingAddress, couponCode, user: req.user._id });
+    if (quote.error) {
+      return res.status(400).json({ success: false, message: quote.error });
+    }
+
+    const { tax, shipping } = quote;
+    const codIneligibility = quote.orderItems.length > 0
+      ? getCodIneligibility({ shippingAddress, totalAmount: quote.totalAmount + COD_FEE })
+      : 'Cash on delivery is currently unavailable';
 
     res.json({
       success: true,
       data: {
-        orderId: razorpayOrder.id,
-        amount: finalAmount,
+        items: quote.orderItems.map(item => ({
+          productId: item.product,
+          variantId: item.variant,
+          sku: item.sku,
+          selectedSize: item.selectedSize,
+          quantity: item.quantity,
+          price: item.price,
+          originalPrice: item.originalPrice,
+          discount: item.discount || 0,
+          hsnCode: item.hsnCode,
+          taxRate: item.taxRate,
+          taxableValue: item.taxableValue,
+          cgst: item.cgst,
+          sgst: item.sgst,
+          igst: item.igst,
+          taxAmount: item.taxAmount,
+          total: roundMoney(item.taxableValue + item.taxAmount)
+        })),
+        itemErrors: quote.itemErrors,
+        subtotal: quote.subtotal,
+        coupon: quote.coupon ? {
+          code: quote.coupon.code,
+          description: quote.coupon.description
+        } : null,
+        couponError: quote.couponError,
+        discountAmount: quote.discountAmount,
+        taxableAmount: tax.taxableAmount,
+        taxAmount: tax.taxAmount,
+        taxBreakdown: {
+          cgst: tax.cgst,
+          sgst: tax.sgst,
+          igst: tax.igst
+        },
+        isInterState: tax.isInterState,
+        shippingCost: shipping.shippingCost,
+        shipping: {
+          zone: shipping.zone,
+          chargeableWeight: shipping.chargeableWeight,
+          freeShipping: shipping.freeShipping
+        },
+        totalAmount: quote.totalAmount,
         currency: 'INR',
-        key: process.env.RAZORPAY_KEY_ID,
-        order: order
+        cod: {
+          available: !codIneligibility,
+          fee: COD_FEE,
+          reason: codIneligibility
+        }
       }
     });
 
   } catch (error) {
-    console.error('Create order error:', error);
+    console.error('Quote error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create order'
+      message: 'Failed to calculate quote'
+    });
+  }
+});
+
+// Preview a coupon against the current cart without placing an order
+router.post('/apply-coupon', [
+  body('code').trim().isLength({ min: 1, max: 30 }).withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, items } = req.body;
+
+    const pricing = await priceOrderItems(items);
+    if (pricing.error) {
+      return res.status(400).json({ success: false, message: pricing.error });
+    }
+
+    const result = await evaluateCoupon(code, { user: req.user._id, ...pricing });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: result.coupon.code,
+        description: result.coupon.description,
+        subtotal: pricing.subtotal,
+        eligibleSubtotal: result.eligibleSubtotal,
+        discountAmount: result.discountAmount,
+        items: pricing.orderItems.map((item, index) => ({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity,
+          price: item.price,
+          discount: result.lineDiscounts[index]
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon'
     });
   }
 });
@@ -165,54 +525,63 @@ router.post('/verify-payment', [
 
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
+    const order = await Order.findOne({ razorpayOrderId: razorpay_order_id });
+      
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Verify signature with the provider that created the order
+    const isValid = getPaymentProvider(order.paymentProvider).verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
-    if (expectedSignature !== razorpay_signature) {
+    if (!isValid) {
       return res.status(400).json({
         success: false,
         message: 'Invalid payment signature'
       });
     }
 
-    // Update order status
-    const order = await Order.findOne({ razorpayOrderId: razorpay_order_id })
-      .populate('items.product')
+    // The webhook may already have marked the order paid; that is fine
+    const paidOrder = await markOrderPaid(order, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+    const latePayment = !paidOrder && await handleLatePayment(order, razorpay_payment_id);
+
+    const updatedOrder = await Order.findById(order._id)
+      .populate(populateOrderProducts())
       .populate('user');
-      
-    if (!order) {
-      return res.status(404).json({
+
+    if (latePayment) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found'
+        message: latePayment.refund
+          ? 'This order was cancelled before your payment arrived. The payment has been refunded.'
+          : 'This order was cancelled before your payment arrived. Your refund will be processed shortly.'
       });
     }
 
-    order.status = 'paid';
-    order.razorpayPaymentId = razorpay_payment_id;
-    order.razorpaySignature = razorpay_signature;
-    order.updatedAt = new Date();
-
-    await order.save();
+    if (!PAID_STATUSES.includes(updatedOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is ${updatedOrder.status} and can no longer be paid. Please contact support.`
+      });
+    }
 
     // Send order confirmation email
-    try {
-      await sendOrderConfirmationEmail(
-        order.shippingAddress.email,
-        order.shippingAddress.name,
-        order
-      );
-    } catch (emailError) {
-      console.error('Failed to send order confirmation email:', emailError);
-    }
+    await sendOrderConfirmationOnce(order._id);
 
     res.json({
       success: true,
       message: 'Payment verified successfully',
-      data: { order }
+      data: { order: updatedOrder }
     });
 
   } catch (error) {
@@ -224,13 +593,117 @@ router.post('/verify-payment', [
   }
 });
 
+// Mark a pending order as failed (called when checkout reports a failure)
+router.post('/payment-failed', [
+  body('razorpay_order_id').notEmpty().withMessage('Order ID is required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { razorpay_order_id, reason } = req.body;
+
+    const order = await Order.findOne({
+      razorpayOrderId: razorpay_order_id,
+      user: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const failedOrder = await markOrderFailed(order, reason);
+    if (!failedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${order.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order marked as failed',
+      data: { order: failedOrder }
+    });
+
+  } catch (error) {
+    console.error('Payment failed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order'
+    });
+  }
+});
+
+// Offline stand-in for the Razorpay Checkout popup, only available with the mock
+// provider. Returns the same fields Checkout gives the browser, ready for verify-payment.
+if (paymentProvider.name === 'mock') {
+  router.post('/mock/pay', [
+    body('razorpay_order_id').notEmpty().withMessage('Order ID is required'),
+    body('fail').optional().isBoolean().withMessage('Fail must be true or false')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { razorpay_order_id, fail } = req.body;
+
+      const order = await Order.findOne({
+        razorpayOrderId: razorpay_order_id,
+        user: req.user._id,
+        paymentProvider: 'mock'
+      });
+      const result = order && paymentProvider.simulatePayment(razorpay_order_id, {
+        fail: fail === true || fail === 'true'
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Mock payment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Mock payment failed'
+      });
+    }
+  });
+}
+
 // Get user orders
 router.get('/orders', async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
+    // Status history is the customer's order timeline; who made each change stays internal
     const orders = await Order.find({ user: req.user._id })
-      .populate('items.product')
+      .select(CUSTOMER_ORDER_PROJECTION)
+      .populate(populateOrderProducts())
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -265,7 +738,7 @@ router.get('/orders/:id', async (req, res) => {
     const order = await Order.findOne({
       _id: req.params.id,
       user: req.user._id
-    }).populate('items.product');
+    }).select(CUSTOMER_ORDER_PROJECTION).populate(populateOrderProducts());
 
     if (!order) {
       return res.status(404).json({
@@ -288,6 +761,133 @@ router.get('/orders/:id', async (req, res) => {
   }
 });
 
+// Download the GST invoice for one of the user's orders
+router.get('/orders/:id/invoice', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.invoiceNumber) {
+      if (!canInvoice(order)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice is available once the order is paid'
+        });
+      }
+      // Orders paid before invoice numbering get their number on first download
+      await assignInvoiceNumber(order);
+    }
+
+    const pdf = await generateInvoicePdf(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoiceFilename(order)}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+});
+
+// Cancel one of the user's orders before it ships; paid orders are refunded
+router.post('/orders/:id/cancel', [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Please tell us why you are cancelling (3-500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { reason } = req.body;
+    const result = await cancelOrder(order, {
+      reason,
+      actor: req.user._id,
+      actorType: 'customer'
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const cancelled = result.order;
+
+    const emailResult = await sendOrderCancelledEmail(
+      cancelled.shippingAddress.email,
+      cancelled.shippingAddress.name,
+      cancelled,
+      result.refund
+    );
+    if (!emailResult.success) {
+      console.error('Failed to send cancellation email:', emailResult.error);
+    }
+
+    const adminResult = await sendAdminOrderCancelledEmail(await staffEmailsWith('orders:read'), cancelled, {
+      reason,
+      refundError: result.refundError
+    });
+    if (!adminResult.success) {
+      console.error('Failed to notify admins of cancellation:', adminResult.error);
+    }
+
+    const updatedOrder = await Order.findById(cancelled._id)
+      .select(CUSTOMER_ORDER_PROJECTION)
+      .populate(populateOrderProducts());
+
+    res.json({
+      success: true,
+      message: result.refund
+        ? 'Order cancelled and refund issued'
+        : result.refundError
+          ? 'Order cancelled. Your refund will be processed shortly'
+          : 'Order cancelled',
+      data: { order: updatedOrder }
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order'
+    });
+  }
+});
+
 // Submit rating for order item
 router.post('/rate-item', [
   body('orderId').isMongoId().withMessage('Valid order ID required'),
@@ -306,29 +906,40 @@ router.post('/rate-item', [
 
     const { orderId, productId, rating } = req.body;
 
-    // Verify the order belongs to the user and is delivered
+    // Verify the order belongs to the user
     const order = await Order.findOne({
       _id: orderId,
-      user: req.user._id,
-      status: 'delivered'
+      user: req.user._id
     });
 
     if (!order) {
       return res.status(400).json({
         success: false,
-        message: 'Order not found or not delivered yet'
+        message: 'Order not found'
       });
     }
 
     // Check if the product is in the order
-    const orderItem = order.items.find(item => item.product.toString() === productId);
-    if (!orderItem) {
+    const productItems = order.items.filter(item => item.product.toString() === productId);
+    if (productItems.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Product not found in this order'
       });
     }
 
+    // Items can be rated as soon as they arrive, even if the rest of the order
+    // is still on its way. Orders from before items were tracked count as a whole.
+    const isDelivered = (item) => item.fulfilmentStatus === 'delivered' || order.status === 'delivered';
+    const orderItem = productItems.find(item => isDelivered(item) && !item.rating) ||
+      productItems.find(isDelivered);
+    if (!orderItem) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item has not been delivered yet'
+      });
+    }
+
     // Check if already rated
     if (orderItem.rating) {
       return res.status(400).json({
@@ -358,6 +969,108 @@ router.post('/rate-item', [
   }
 });
 
+// Refund a payment captured for an order that was already cancelled and tell
+// the customer and staff. Does nothing for payments we already know about.
+async function handleLatePayment(order, paymentId) {
+  const current = await Order.findById(order._id);
+  const result = await refundLateCapture(current, { paymentId });
+  if (!result) return null;
+
+  if (result.refund) {
+    const emailResult = await sendRefundEmail(
+      result.order.shippingAddress.email,
+      result.order.shippingAddress.name,
+      result.order,
+      result.refund
+    );
+    if (!emailResult.success) {
+      console.error('Failed to send refund email:', emailResult.error);
+    }
+  }
+
+  const adminResult = await sendAdminLatePaymentEmail(await staffEmailsWith('orders:read'), result.order, {
+    paymentId,
+    refund: result.refund,
+    refundError: result.refundError
+  });
+  if (!adminResult.success) {
+    console.error('Failed to notify admins of late payment:', adminResult.error);
+  }
+
+  return result;
+}
+
+// Helper function to apply a verified payment provider webhook event (see parseWebhook)
+async function handleWebhookEvent(event) {
+  switch (event.type) {
+    case 'payment.captured': {
+      const order = event.orderId && await Order.findOne({ razorpayOrderId: event.orderId });
+      if (!order) return;
+
+      if (event.amount !== undefined && event.amount !== Math.round(order.totalAmount * 100)) {
+        console.error('Webhook amount mismatch for order:', order._id.toString());
+        return;
+      }
+
+      const paidOrder = await markOrderPaid(order, { paymentId: event.paymentId });
+      if (!paidOrder) {
+        await handleLatePayment(order, event.paymentId);
+        return;
+      }
+      await sendOrderConfirmationOnce(order._id);
+      return;
+    }
+
+    case 'payment.failed': {
+      const order = event.orderId && await Order.findOne({ razorpayOrderId: event.orderId });
+      if (!order) return;
+
+      await markOrderFailed(order, event.failureReason);
+      return;
+    }
+
+    case 'refund.processed': {
+      const { refund } = event;
+
+      const order = await Order.findOne({ razorpayPaymentId: refund.paymentId });
+      if (!order) return;
+
+      // Update the refund if we already know about it, otherwise record it
+      const updated = await Order.updateOne(
+        { _id: order._id, 'refunds.razorpayRefundId': refund.id },
+        { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() } }
+      );
+      if (updated.matchedCount === 0) {
+        // A refund we did not start, e.g. one issued from the Razorpay dashboard
+        const recorded = await Order.findOneAndUpdate(
+          { _id: order._id, 'refunds.razorpayRefundId': { $ne: refund.id } },
+          {
+            $push: {
+              refunds: {
+                razorpayRefundId: refund.id,
+                amount: refund.amount / 100,
+                status: 'processed',
+                processedAt: new Date()
+              }
+            }
+          },
+          { new: true }
+        );
+        if (recorded) {
+          await settleRefundStatus(recorded, {
+            note: `Refunded ₹${(refund.amount / 100).toFixed(2)} outside the app (${refund.id})`
+          });
+        }
+      }
+      return;
+    }
+
+    default:
+      // Other events are acknowledged but not used
+      return;
+  }
+}
+
 // Helper function to update product rating
 async function updateProductRating(productId) {
   try {
@@ -44,6 +44,9 @@ router.get('/', async (req, res) => {
     // Only show in-stock items by default
     query.inStock = true;
 
+    // Archived products are kept for past orders only
+    query.archivedAt = null;
+
     // Sorting
     let sortOption = {};
     switch (sort) {
@@ -100,7 +103,7 @@ router.get('/', async (req, res) => {
 // Get single product
 router.get('/:id', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null });
     
     if (!product) {
       return res.status(404).json({
@@ -131,7 +134,7 @@ router.get('/:id', async (req, res) => {
 // Get featured products
 router.get('/featured/list', async (req, res) => {
   try {
-    const products = await Product.find({ featured: true, inStock: true })
+    const products = await Product.find({ featured: true, inStock: true, archivedAt: null })
       .sort({ createdAt: -1 })
       .limit(8);
 
@@ -0,0 +1,293 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { upload } from '../config/cloudinary.js';
+import cloudinary from '../config/cloudinary.js';
+import { MAX_RETURN_PHOTOS, RETURN_WINDOW_DAYS } from '../config/returns.js';
+import { getReturnIneligibility, createReturnRequest, getReturnDeadline } from '../utils/returns.js';
+import { sendReturnUpdateEmail, sendAdminReturnRequestedEmail } from '../email.js';
+import { populateOrderProducts } from '../utils/orderItems.js';
+import { staffEmailsWith } from '../utils/roles.js';
+
+const router = express.Router();
+
+// Who handled each step stays internal
+const CUSTOMER_RETURN_PROJECTION = '-statusHistory.actor';
+
+const RETURN_REASONS = ReturnRequest.schema.path('reason').enumValues;
+
+// Remove photos multer already uploaded for a request we are turning down
+const discardUploads = async (files = []) => {
+  for (const file of files) {
+    try {
+      await cloudinary.uploader.destroy(file.filename, {
+        resource_type: file.mimetype.startsWith('video/') ? 'video' : 'image'
+      });
+    } catch (error) {
+      console.error('Failed to delete return photo:', error);
+    }
+  }
+};
+
+// Items arrive as a JSON string in multipart forms: [{ itemId, quantity, exchangeVariantId }]
+const parseReturnItems = (raw) => {
+  let items;
+  try {
+    items = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    return { error: 'Items must be valid JSON' };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Choose at least one item to return' };
+  }
+
+  const objectId = /^[a-f0-9]{24}$/i;
+  const parsed = [];
+  for (const item of items) {
+    const quantity = parseInt(item && item.quantity);
+    if (!item || !objectId.test(item.itemId)) {
+      return { error: 'Each item needs a valid order item ID' };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'Quantity must be at least 1' };
+    }
+    if (item.exchangeVariantId && !objectId.test(item.exchangeVariantId)) {
+      return { error: 'Exchange option must be a valid variant ID' };
+    }
+    parsed.push({ itemId: item.itemId, quantity, exchangeVariantId: item.exchangeVariantId });
+  }
+
+  return { items: parsed };
+};
+
+// Retries answered by idempotency never reach the handler, so drop their photos
+const discardUnhandledUploads = (req, res, next) => {
+  res.on('close', () => {
+    if (!req.returnHandled) discardUploads(req.files);
+  });
+  next();
+};
+
+router.use(authenticateToken);
+
+// Ask to return or exchange items from a delivered order, with optional photos.
+// Idempotency runs after the upload so retries are compared by their parsed form.
+router.post('/',
+  upload.array('images', MAX_RETURN_PHOTOS),
+  discardUnhandledUploads,
+  idempotency,
+  [
+    body('orderId').isMongoId().withMessage('Valid order ID required'),
+    body('type').optional().isIn(['refund', 'exchange']).withMessage('Type must be refund or exchange'),
+    body('reason').isIn(RETURN_REASONS).withMessage(`Reason must be one of: ${RETURN_REASONS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('items').notEmpty().withMessage('Items are required'),
+  ],
+  async (req, res) => {
+    req.returnHandled = true;
+    const files = req.files || [];
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUploads(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (files.some(file => !file.mimetype.startsWith('image/'))) {
+        await discardUploads(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Only photos can be attached to a return'
+        });
+      }
+
+      const parsed = parseReturnItems(req.body.items);
+      if (parsed.error) {
+        await discardUploads(files);
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+
+      const order = await Order.findOne({
+        _id: req.body.orderId,
+        user: req.user._id
+      }).populate(populateOrderProducts());
+
+      if (!order) {
+        await discardUploads(files);
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      const ineligibility = getReturnIneligibility(order);
+      if (ineligibility) {
+        await discardUploads(files);
+        return res.status(400).json({
+          success: false,
+          message: ineligibility
+        });
+      }
+
+      const created = await createReturnRequest(order, parsed.items, {
+        user: req.user._id,
+        type: req.body.type || 'refund',
+        reason: req.body.reason,
+        description: req.body.description || '',
+        images: files.map(file => ({
+          url: file.path,
+          cloudinaryId: file.filename
+        })),
+        statusHistory: [{
+          status: 'requested',
+          actor: req.user._id,
+          actorType: 'customer'
+        }]
+      });
+      if (created.error) {
+        await discardUploads(files);
+        return res.status(created.status).json({
+          success: false,
+          message: created.error
+        });
+      }
+      const { returnRequest } = created;
+
+      try {
+        await sendReturnUpdateEmail(order.shippingAddress.email, order.shippingAddress.name, returnRequest, order);
+        await sendAdminReturnRequestedEmail(await staffEmailsWith('returns:manage'), returnRequest, order);
+      } catch (emailError) {
+        console.error('Failed to send return request emails:', emailError);
+      }
+
+      const saved = await ReturnRequest.findById(returnRequest._id).select(CUSTOMER_RETURN_PROJECTION);
+
+      res.status(201).json({
+        success: true,
+        message: 'Return requested successfully. We will email you once it has been reviewed.',
+        data: { returnRequest: saved }
+      });
+    } catch (error) {
+      console.error('Create return error:', error);
+      await discardUploads(files);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request return'
+      });
+    }
+  }
+);
+
+// Get the user's returns
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .select(CUSTOMER_RETURN_PROJECTION)
+      .populate('items.product', 'name image')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReturnRequest.countDocuments({ user: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns'
+    });
+  }
+});
+
+// Check whether an order can still be returned and until when
+router.get('/eligibility/:orderId', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      user: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const reason = getReturnIneligibility(order);
+
+    res.json({
+      success: true,
+      data: {
+        eligible: !reason,
+        reason,
+        windowDays: RETURN_WINDOW_DAYS,
+        deadline: getReturnDeadline(order)
+      }
+    });
+  } catch (error) {
+    console.error('Return eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check return eligibility'
+    });
+  }
+});
+
+// Get one of the user's returns
+router.get('/:id', async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    })
+      .select(CUSTOMER_RETURN_PROJECTION)
+      .populate('items.product', 'name image');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest }
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return'
+    });
+  }
+});
+
+export default router;
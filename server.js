@@ -13,6 +13,12 @@ import productRoutes from './routes/products.js';
 import contactRoutes from './routes/contact.js';
 import paymentRoutes from './routes/payment.js';
 import heroImagesRoutes from './routes/heroImages.js';
+import returnRoutes from './routes/returns.js';
+import { backfillLegacyStock } from './utils/inventory.js';
+import { backfillOrderItemSnapshots } from './utils/orderItems.js';
+import { bootstrapOwners } from './utils/roles.js';
+import { startPendingOrderExpiryJob } from './jobs/expirePendingOrders.js';
+import { paymentProvider } from './config/payment.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -47,7 +53,9 @@ const limiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Razorpay delivers webhooks from a handful of IPs; they are verified by signature instead
+  skip: (req) => req.originalUrl === '/api/payment/webhook'
 });
 
 // FIX: limit only API, not health/root
@@ -100,8 +108,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
-  exposedHeaders: ['Set-Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Idempotency-Key'],
+  exposedHeaders: ['Set-Cookie', 'Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -110,7 +118,15 @@ app.use(cors(corsOptions));
 app.use(cookieParser());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes Razorpay sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/payment/webhook') {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware (kept as-is)
@@ -135,12 +151,32 @@ const connectDB = async () => {
 const startServer = async () => {
   await connectDB();
 
+  try {
+    await backfillLegacyStock();
+  } catch (error) {
+    console.error('❌ Stock backfill error:', error);
+  }
+
+  try {
+    await backfillOrderItemSnapshots();
+  } catch (error) {
+    console.error('❌ Order item backfill error:', error);
+  }
+
+  try {
+    await bootstrapOwners();
+  } catch (error) {
+    console.error('❌ Owner bootstrap error:', error);
+  }
+
+  startPendingOrderExpiryJob();
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Rangleela server running on port ${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔑 Google OAuth: ${process.env.GOOGLE_CLIENT_ID ? 'Configured' : 'Not configured'}`);
     console.log(`☁️ Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : 'Not configured'}`);
-    console.log(`💳 Razorpay: ${process.env.RAZORPAY_KEY_ID ? 'Configured' : 'Not configured'}`);
+    console.log(`💳 Payments: ${paymentProvider.name}${paymentProvider.name === 'razorpay' && !process.env.RAZORPAY_KEY_ID ? ' (not configured)' : ''}`);
     console.log(`🗄️ MongoDB: ${process.env.MONGODB_URI ? 'Custom URI' : 'Default local'}`);
   });
 };
@@ -154,6 +190,7 @@ app.use('/api/products', productRoutes);
 app.use('/api/contact', contactLimiter, contactRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/hero-images', heroImagesRoutes);
+app.use('/api/returns', returnRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -189,8 +226,4 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
-export const ADMIN_EMAILS = process.env.ADMIN_EMAILS
-  ? process.env.ADMIN_EMAILS.split(',').map(email => email.trim())
-  : [];
-
 export default app;
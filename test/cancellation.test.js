@@ -0,0 +1,134 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { emailsTo, clearSentEmails } from './helpers/mail.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder,
+  sendWebhook,
+  capturedEvent,
+  SHIPPING_ADDRESS
+} from './helpers/app.js';
+import { paymentProvider } from '../config/payment.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('customer cancellation', () => {
+  let api;
+  let customer;
+  let staff;
+  let product;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    clearSentEmails();
+    customer = await createCustomer();
+    staff = await createStaff();
+    product = await createProduct({ stockQuantity: 1 });
+  });
+
+  const placeOrder = async () => {
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    return { created, order: await Order.findOne({ razorpayOrderId: created.orderId }) };
+  };
+
+  const cancel = (order, who = customer) => api.request(`/api/payment/orders/${order._id}/cancel`, {
+    cookie: who.cookie,
+    body: { reason: 'Changed my mind' }
+  });
+
+  it('cancels an unpaid order, gives the stock back and tells the customer and staff', async () => {
+    const { order } = await placeOrder();
+
+    const response = await cancel(order);
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.message, 'Order cancelled');
+
+    const cancelled = await Order.findById(order._id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.statusHistory.at(-1).actorType, 'customer');
+    assert.equal(cancelled.statusHistory.at(-1).note, 'Changed my mind');
+    assert.equal((await Product.findById(product._id)).stockQuantity, 1);
+
+    assert.equal(emailsTo(SHIPPING_ADDRESS.email).length, 1);
+    assert.equal(emailsTo(staff.user.email).length, 1);
+  });
+
+  it('refunds a paid order in full and restocks it', async () => {
+    const { created, order } = await placeOrder();
+    await payOnlineOrder(api, customer, created.orderId);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 0);
+
+    const response = await cancel(order);
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.message, 'Order cancelled and refund issued');
+
+    const cancelled = await Order.findById(order._id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.refunds.length, 1);
+    assert.equal(cancelled.refunds[0].amount, cancelled.totalAmount);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 1);
+  });
+
+  it('refunds a payment that was captured before we heard about it', async () => {
+    const { created, order } = await placeOrder();
+    paymentProvider.simulatePayment(created.orderId);
+
+    const response = await cancel(order);
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.message, 'Order cancelled and refund issued');
+
+    const cancelled = await Order.findById(order._id);
+    assert.ok(cancelled.razorpayPaymentId);
+    assert.equal(cancelled.refunds.length, 1);
+  });
+
+  it('refunds a payment captured after the order was cancelled', async () => {
+    const { created, order } = await placeOrder();
+    assert.equal((await cancel(order)).status, 200);
+
+    const payment = paymentProvider.simulatePayment(created.orderId);
+    const webhook = await sendWebhook(api, 'evt_captured_late', capturedEvent(payment, created.amount));
+    assert.equal(webhook.status, 200);
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.status, 'cancelled');
+    assert.equal(refunded.razorpayPaymentId, payment.razorpay_payment_id);
+    assert.equal(refunded.refunds.length, 1);
+    assert.equal(refunded.refunds[0].amount, order.totalAmount);
+  });
+
+  it('does not cancel orders that have shipped', async () => {
+    const { created, order } = await placeOrder();
+    await payOnlineOrder(api, customer, created.orderId);
+    await Order.updateOne({ _id: order._id }, { status: 'shipped' });
+
+    const response = await cancel(order);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Orders that are shipped can no longer be cancelled');
+  });
+
+  it('only lets the owner cancel an order', async () => {
+    const { order } = await placeOrder();
+
+    const response = await cancel(order, await createCustomer());
+    assert.equal(response.status, 404);
+    assert.equal((await Order.findById(order._id)).status, 'pending');
+  });
+});
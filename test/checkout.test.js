@@ -0,0 +1,126 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createProduct,
+  createOnlineOrder,
+  sendWebhook,
+  capturedEvent
+} from './helpers/app.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('checkout with the mock payment provider', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(() => db.clear());
+
+  it('creates, pays, verifies and confirms an order offline', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({ stockQuantity: 2 });
+
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    assert.equal(created.provider, 'mock');
+
+    const pending = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.paymentProvider, 'mock');
+
+    const paid = await api.request('/api/payment/mock/pay', {
+      cookie: customer.cookie,
+      body: { razorpay_order_id: created.orderId }
+    });
+    assert.equal(paid.status, 200);
+
+    const verified = await api.request('/api/payment/verify-payment', {
+      cookie: customer.cookie,
+      body: paid.body.data
+    });
+    assert.equal(verified.status, 200, verified.body.message);
+    assert.equal(verified.body.data.order.status, 'paid');
+
+    // The webhook for the same payment arrives afterwards and changes nothing
+    const webhook = await sendWebhook(api, 'evt_checkout_1', capturedEvent(paid.body.data, created.amount));
+    assert.equal(webhook.status, 200);
+
+    const order = await Order.findById(pending._id);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.razorpayPaymentId, paid.body.data.razorpay_payment_id);
+    assert.equal(order.statusHistory.filter(entry => entry.status === 'paid').length, 1);
+
+    const stocked = await Product.findById(product._id);
+    assert.equal(stocked.stockQuantity, 1);
+    assert.equal(stocked.reservedQuantity, 0);
+  });
+
+  it('fails a declined mock payment and gives the stock back', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({ stockQuantity: 1 });
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+
+    const declined = await api.request('/api/payment/mock/pay', {
+      cookie: customer.cookie,
+      body: { razorpay_order_id: created.orderId, fail: true }
+    });
+    assert.equal(declined.status, 200);
+    assert.ok(declined.body.data.error);
+
+    const failed = await api.request('/api/payment/payment-failed', {
+      cookie: customer.cookie,
+      body: {
+        razorpay_order_id: created.orderId,
+        reason: declined.body.data.error.description
+      }
+    });
+    assert.equal(failed.status, 200, failed.body.message);
+
+    assert.equal((await Order.findOne({ razorpayOrderId: created.orderId })).status, 'failed');
+    const restocked = await Product.findById(product._id);
+    assert.equal(restocked.stockQuantity, 1);
+    assert.equal(restocked.reservedQuantity, 0);
+  });
+
+  it('rejects a forged payment signature', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    const paid = await api.request('/api/payment/mock/pay', {
+      cookie: customer.cookie,
+      body: { razorpay_order_id: created.orderId }
+    });
+
+    const verified = await api.request('/api/payment/verify-payment', {
+      cookie: customer.cookie,
+      body: { ...paid.body.data, razorpay_signature: '0'.repeat(64) }
+    });
+    assert.equal(verified.status, 400);
+    assert.equal((await Order.findOne({ razorpayOrderId: created.orderId })).status, 'pending');
+  });
+
+  it('only lets customers pay their own mock orders', async () => {
+    const owner = await createCustomer();
+    const stranger = await createCustomer();
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, owner, [{ product }]);
+
+    const paid = await api.request('/api/payment/mock/pay', {
+      cookie: stranger.cookie,
+      body: { razorpay_order_id: created.orderId }
+    });
+    assert.equal(paid.status, 404);
+  });
+});
@@ -0,0 +1,93 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createProduct,
+  SHIPPING_ADDRESS
+} from './helpers/app.js';
+import { COD_FEE } from '../config/cod.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('cash on delivery orders', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(() => db.clear());
+
+  const placeCodOrder = (customer, items, shippingAddress = SHIPPING_ADDRESS) =>
+    api.request('/api/payment/create-cod-order', {
+      cookie: customer.cookie,
+      body: {
+        items: items.map(({ product, quantity = 1 }) => ({ productId: product._id.toString(), quantity })),
+        shippingAddress
+      }
+    });
+
+  it('confirms the order straight away with the COD fee and holds the stock', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({ price: 1000, stockQuantity: 3 });
+
+    const response = await placeCodOrder(customer, [{ product, quantity: 2 }]);
+    assert.equal(response.status, 201, response.body.message);
+
+    const order = await Order.findById(response.body.data.order._id);
+    assert.equal(order.paymentMethod, 'cod');
+    assert.equal(order.status, 'confirmed');
+    assert.equal(order.codFee, COD_FEE);
+    assert.equal(order.razorpayOrderId, undefined);
+    assert.ok(order.totalAmount >= 2000 + COD_FEE);
+
+    const stocked = await Product.findById(product._id);
+    assert.equal(stocked.reservedQuantity, 2);
+  });
+
+  it('rejects an empty cart on both ways of placing an order', async () => {
+    const customer = await createCustomer();
+    const body = { items: [], shippingAddress: SHIPPING_ADDRESS };
+
+    for (const path of ['/api/payment/create-cod-order', '/api/payment/create-order']) {
+      const response = await api.request(path, { cookie: customer.cookie, body });
+      assert.equal(response.status, 400, path);
+      assert.equal(response.body.message, 'Validation failed');
+    }
+    assert.equal(await Order.countDocuments(), 0);
+  });
+
+  it('refuses orders above the cash limit', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({ price: 20000 });
+
+    const response = await placeCodOrder(customer, [{ product }]);
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /only available for orders up to/);
+    assert.equal((await Product.findById(product._id)).reservedQuantity, 0);
+  });
+
+  it('refuses pincodes where couriers do not collect cash', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct();
+
+    const response = await placeCodOrder(customer, [{ product }], {
+      ...SHIPPING_ADDRESS,
+      city: 'Srinagar',
+      state: 'Jammu and Kashmir',
+      pincode: '190001'
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Cash on delivery is not available for this pincode');
+  });
+});
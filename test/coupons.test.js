@@ -0,0 +1,93 @@
+import './helpers/env.js';
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { connectTestDatabase } from './helpers/db.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { evaluateCoupon, redeemCoupon, unredeemCoupon } from '../utils/coupons.js';
+
+const db = await connectTestDatabase();
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const createCoupon = (fields = {}) => Coupon.create({
+  code: 'FESTIVE10',
+  discountType: 'percentage',
+  discountValue: 10,
+  isActive: true,
+  ...fields
+});
+
+describe('coupon limits', () => {
+  after(() => db.close());
+
+  beforeEach(() => db.clear());
+
+  it('lets parallel checkouts by one customer use a coupon only perUserLimit times', async () => {
+    const coupon = await createCoupon({ perUserLimit: 2 });
+    const user = newId();
+
+    const results = await Promise.all(
+      Array.from({ length: 6 }, () => redeemCoupon(coupon, { user, order: newId() }))
+    );
+
+    assert.equal(results.filter(problem => problem === null).length, 2);
+    assert.equal(await CouponRedemption.countDocuments({ coupon: coupon._id, user }), 2);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 2);
+  });
+
+  it('never redeems more than the global usageLimit', async () => {
+    const coupon = await createCoupon({ usageLimit: 3, perUserLimit: 1 });
+
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => redeemCoupon(coupon, { user: newId(), order: newId() }))
+    );
+
+    assert.equal(results.filter(problem => problem === null).length, 3);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 3);
+  });
+
+  it('gives a use back when its order is released', async () => {
+    const coupon = await createCoupon({ perUserLimit: 1 });
+    const user = newId();
+    const firstOrder = newId();
+
+    assert.equal(await redeemCoupon(coupon, { user, order: firstOrder }), null);
+    assert.equal(await redeemCoupon(coupon, { user, order: newId() }), 'You have already used this coupon');
+
+    await unredeemCoupon(coupon._id, firstOrder);
+    assert.equal(await redeemCoupon(coupon, { user, order: newId() }), null);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+  });
+
+  it('gives a use back only once, and only for orders that held one', async () => {
+    const coupon = await createCoupon({ perUserLimit: 3 });
+    const user = newId();
+    const order = newId();
+
+    assert.equal(await redeemCoupon(coupon, { user, order }), null);
+    assert.equal(await redeemCoupon(coupon, { user, order: newId() }), null);
+
+    assert.equal(await unredeemCoupon(coupon._id, order), true);
+    assert.equal(await unredeemCoupon(coupon._id, order), false);
+    assert.equal(await unredeemCoupon(coupon._id, newId()), false);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+  });
+
+  it('works out the discount on eligible items only', async () => {
+    await createCoupon({ applicableCategories: ['painting'], maxDiscount: 150 });
+
+    const result = await evaluateCoupon('festive10', {
+      user: newId(),
+      orderItems: [{ price: 2000, quantity: 1 }, { price: 500, quantity: 2 }],
+      products: [{ _id: newId(), category: 'painting' }, { _id: newId(), category: 'apparel' }],
+      subtotal: 3000
+    });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.eligibleSubtotal, 2000);
+    assert.equal(result.discountAmount, 150);
+    assert.deepEqual(result.lineDiscounts, [150, 0]);
+  });
+});
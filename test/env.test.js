@@ -0,0 +1,33 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { numberFromEnv, listFromEnv } from '../config/env.js';
+
+describe('settings from the environment', () => {
+  afterEach(() => {
+    delete process.env.TEST_SETTING;
+  });
+
+  it('falls back when a number is missing or not a number', () => {
+    assert.equal(numberFromEnv('TEST_SETTING', 7), 7);
+    process.env.TEST_SETTING = 'soon';
+    assert.equal(numberFromEnv('TEST_SETTING', 7), 7);
+  });
+
+  it('keeps an explicit zero', () => {
+    process.env.TEST_SETTING = '0';
+    assert.equal(numberFromEnv('TEST_SETTING', 7), 0);
+  });
+
+  it('reads fractional numbers', () => {
+    process.env.TEST_SETTING = '1.5';
+    assert.equal(numberFromEnv('TEST_SETTING', 7), 1.5);
+  });
+
+  it('splits and trims lists, and keeps an explicitly empty list', () => {
+    assert.deepEqual(listFromEnv('TEST_SETTING', ['remote']), ['remote']);
+    process.env.TEST_SETTING = ' 18, 19 ,,737';
+    assert.deepEqual(listFromEnv('TEST_SETTING'), ['18', '19', '737']);
+    process.env.TEST_SETTING = '';
+    assert.deepEqual(listFromEnv('TEST_SETTING', ['remote']), []);
+  });
+});
@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createProduct, createOnlineOrder } from './helpers/app.js';
+import { expirePendingOrders } from '../jobs/expirePendingOrders.js';
+import { paymentProvider } from '../config/payment.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('pending order expiry', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await createCustomer();
+  });
+
+  // A pending order placed the given number of minutes ago
+  const placeOrder = async (product, minutesAgo) => {
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    // Mongoose keeps createdAt immutable, so age the order directly
+    await Order.collection.updateOne(
+      { razorpayOrderId: created.orderId },
+      { $set: { createdAt: new Date(Date.now() - minutesAgo * 60 * 1000) } }
+    );
+    return { created, order: await Order.findOne({ razorpayOrderId: created.orderId }) };
+  };
+
+  it('expires abandoned orders and gives their stock back', async () => {
+    const product = await createProduct({ stockQuantity: 1 });
+    const { order } = await placeOrder(product, 45);
+
+    const counts = await expirePendingOrders();
+    assert.deepEqual(counts, { expired: 1, paid: 0, skipped: 0 });
+
+    const expired = await Order.findById(order._id);
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.inventoryStatus, 'released');
+
+    const stocked = await Product.findById(product._id);
+    assert.equal(stocked.stockQuantity, 1);
+    assert.equal(stocked.reservedQuantity, 0);
+  });
+
+  it('leaves recent orders alone', async () => {
+    const { order } = await placeOrder(await createProduct(), 5);
+
+    const counts = await expirePendingOrders();
+    assert.deepEqual(counts, { expired: 0, paid: 0, skipped: 0 });
+    assert.equal((await Order.findById(order._id)).status, 'pending');
+  });
+
+  it('marks an order paid instead when the provider captured its payment', async () => {
+    const { created, order } = await placeOrder(await createProduct(), 45);
+    const payment = paymentProvider.simulatePayment(created.orderId);
+
+    const counts = await expirePendingOrders();
+    assert.deepEqual(counts, { expired: 0, paid: 1, skipped: 0 });
+
+    const paid = await Order.findById(order._id);
+    assert.equal(paid.status, 'paid');
+    assert.equal(paid.razorpayPaymentId, payment.razorpay_payment_id);
+    assert.equal(paid.inventoryStatus, 'committed');
+  });
+});
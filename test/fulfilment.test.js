@@ -0,0 +1,122 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder
+} from './helpers/app.js';
+import { deriveFulfilmentStatus } from '../utils/shipments.js';
+import Order from '../models/Order.js';
+
+const db = await connectTestDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('deriveFulfilmentStatus', () => {
+  const line = (fulfilmentStatus, refundedQuantity = 0) => ({ fulfilmentStatus, quantity: 1, refundedQuantity });
+
+  it('follows the line items', () => {
+    assert.equal(deriveFulfilmentStatus([line('unfulfilled'), line('unfulfilled')]), null);
+    assert.equal(deriveFulfilmentStatus([line('shipped'), line('unfulfilled')]), 'partially_shipped');
+    assert.equal(deriveFulfilmentStatus([line('delivered'), line('shipped')]), 'shipped');
+    assert.equal(deriveFulfilmentStatus([line('delivered'), line('delivered')]), 'delivered');
+  });
+
+  it('ignores lines that were refunded in full', () => {
+    assert.equal(deriveFulfilmentStatus([line('shipped'), line('unfulfilled', 1)]), 'shipped');
+    assert.equal(deriveFulfilmentStatus([line('unfulfilled', 1)]), null);
+  });
+});
+
+describe('split shipments', () => {
+  let api;
+  let staff;
+  let customer;
+  let painting;
+  let tee;
+  let order;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    staff = await createStaff('fulfilment');
+    customer = await createCustomer();
+    painting = await createProduct({ name: 'Painting', category: 'painting' });
+    tee = await createProduct({ name: 'Tee' });
+
+    const created = await createOnlineOrder(api, customer, [{ product: painting }, { product: tee }]);
+    await payOnlineOrder(api, customer, created.orderId);
+    order = await Order.findOneAndUpdate(
+      { razorpayOrderId: created.orderId },
+      { status: 'processing' },
+      { new: true }
+    );
+  });
+
+  const lineFor = (product) => order.items.find(item => item.product.toString() === product._id.toString());
+
+  const ship = (product, fields) => api.request(`/api/admin/orders/${order._id}/shipments`, {
+    cookie: staff.cookie,
+    body: { carrier: 'dtdc', items: [lineFor(product)._id.toString()], ...fields }
+  });
+
+  const rate = (product) => api.request('/api/payment/rate-item', {
+    cookie: customer.cookie,
+    body: { orderId: order._id.toString(), productId: product._id.toString(), rating: 5 }
+  });
+
+  it('ships items separately and works out the order status from them', async () => {
+    const first = await ship(painting, { awb: 'PAINT001' });
+    assert.equal(first.status, 201, first.body.message);
+    assert.equal((await Order.findById(order._id)).status, 'partially_shipped');
+
+    const twice = await ship(painting, { awb: 'PAINT002' });
+    assert.equal(twice.status, 400);
+    assert.match(twice.body.message, /already been shipped/);
+
+    const second = await ship(tee, { awb: 'TEE001' });
+    assert.equal(second.status, 201, second.body.message);
+
+    const shipped = await Order.findById(order._id);
+    assert.equal(shipped.status, 'shipped');
+    assert.equal(shipped.shipments.length, 2);
+    assert.deepEqual(shipped.shipments.map(shipment => shipment.items.length), [1, 1]);
+  });
+
+  it('lets customers rate an item as soon as its own parcel arrives', async () => {
+    await ship(painting, {
+      awb: 'PAINT001',
+      shippedAt: new Date(Date.now() - 6 * DAY_MS).toISOString(),
+      expectedDeliveryAt: new Date(Date.now() - 2 * DAY_MS).toISOString()
+    });
+    await ship(tee, { awb: 'TEE001' });
+
+    const refreshed = await api.request(`/api/admin/orders/${order._id}/shipments/refresh`, { cookie: staff.cookie });
+    assert.equal(refreshed.status, 200, refreshed.body.message);
+
+    const updated = await Order.findById(order._id);
+    assert.equal(updated.status, 'shipped');
+    assert.equal(updated.items.id(lineFor(painting)._id).fulfilmentStatus, 'delivered');
+    assert.equal(updated.items.id(lineFor(tee)._id).fulfilmentStatus, 'shipped');
+
+    const rated = await rate(painting);
+    assert.equal(rated.status, 200, rated.body.message);
+
+    const early = await rate(tee);
+    assert.equal(early.status, 400);
+    assert.equal(early.body.message, 'This item has not been delivered yet');
+  });
+});
@@ -0,0 +1,158 @@
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import authRoutes from '../../routes/auth.js';
+import paymentRoutes from '../../routes/payment.js';
+import adminRoutes from '../../routes/admin.js';
+import productRoutes from '../../routes/products.js';
+import User from '../../models/User.js';
+import Product from '../../models/Product.js';
+import { createSession } from '../../utils/sessions.js';
+import { paymentProvider } from '../../config/payment.js';
+
+// The auth, payment, admin and product APIs mounted the way server.js mounts
+// them, without the database connection, background jobs or rate limits
+export const startTestServer = async () => {
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl === '/api/payment/webhook') {
+        req.rawBody = buf;
+      }
+    }
+  }));
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/products', productRoutes);
+  app.use('/api/payment', paymentRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Request to the API; returns { status, body, headers }, with the body parsed
+  // when it is JSON and as a Buffer otherwise
+  const request = async (path, { method = 'POST', body, cookie, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(cookie && { Cookie: cookie }),
+        ...headers
+      },
+      body: typeof body === 'string' ? body : body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer()),
+      headers: response.headers
+    };
+  };
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// A verified customer and the auth cookie of a fresh session
+export const createCustomer = async (fields = {}) => {
+  const user = await User.create({
+    email: `customer${Date.now()}${Math.random().toString(36).slice(2, 6)}@example.com`,
+    password: 'Password123!',
+    name: 'Test Customer',
+    isVerified: true,
+    ...fields
+  });
+  const { accessToken } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' });
+  return { user, cookie: `authToken=${accessToken}` };
+};
+
+// A staff member with two-factor authentication set up, as the admin API requires
+export const createStaff = (role = 'owner') => createCustomer({
+  name: 'Test Staff',
+  role,
+  twoFactor: { enabled: true }
+});
+
+export const createProduct = (fields = {}) => Product.create({
+  name: 'Test Print',
+  description: 'A test product',
+  price: 1000,
+  image: 'https://example.com/print.jpg',
+  cloudinaryId: 'test/print',
+  category: 'apparel',
+  stockQuantity: 5,
+  ...fields
+});
+
+export const SHIPPING_ADDRESS = {
+  name: 'Test Customer',
+  email: 'customer@example.com',
+  phone: '9876543210',
+  address: '12 Test Street, Test Nagar',
+  city: 'Pune',
+  state: 'Maharashtra',
+  pincode: '411001'
+};
+
+// Place an online order for the given products (one unit each unless stated)
+// as a customer. Returns the create-order response data.
+export const createOnlineOrder = async (api, customer, items, fields = {}) => {
+  const response = await api.request('/api/payment/create-order', {
+    cookie: customer.cookie,
+    body: {
+      items: items.map(({ product, quantity = 1, variant }) => ({
+        productId: product._id.toString(),
+        ...(variant && { variantId: variant._id.toString() }),
+        quantity
+      })),
+      shippingAddress: SHIPPING_ADDRESS,
+      ...fields
+    }
+  });
+  if (response.status !== 200) {
+    throw new Error(`create-order failed with ${response.status}: ${response.body.message}`);
+  }
+  return response.body.data;
+};
+
+// Pay a mock order the way Checkout would and verify it. Returns the payment fields.
+export const payOnlineOrder = async (api, customer, razorpayOrderId) => {
+  const paid = await api.request('/api/payment/mock/pay', {
+    cookie: customer.cookie,
+    body: { razorpay_order_id: razorpayOrderId }
+  });
+  const verified = await api.request('/api/payment/verify-payment', {
+    cookie: customer.cookie,
+    body: paid.body.data
+  });
+  if (verified.status !== 200) {
+    throw new Error(`verify-payment failed with ${verified.status}: ${verified.body.message}`);
+  }
+  return paid.body.data;
+};
+
+// Deliver a webhook signed the way the mock provider checks it
+export const sendWebhook = (api, eventId, payload) => {
+  const rawBody = JSON.stringify(payload);
+  return api.request('/api/payment/webhook', {
+    body: rawBody,
+    headers: {
+      'x-razorpay-signature': paymentProvider.signWebhook(rawBody),
+      'x-razorpay-event-id': eventId
+    }
+  });
+};
+
+// Razorpay's payment.captured webhook body; amount is in paise
+export const capturedEvent = ({ razorpay_payment_id, razorpay_order_id }, amount) => ({
+  event: 'payment.captured',
+  payload: {
+    payment: {
+      entity: { id: razorpay_payment_id, order_id: razorpay_order_id, amount }
+    }
+  }
+});
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server-core';
+
+// Connect mongoose to a throwaway database: TEST_MONGODB_URI if set, otherwise an
+// in-memory server. Throws when neither is available (e.g. the MongoDB binary
+// cannot be downloaded), so a missing database fails the run instead of
+// quietly skipping the suites that need it.
+export const connectTestDatabase = async () => {
+  let server = null;
+  try {
+    let uri = process.env.TEST_MONGODB_URI;
+    if (!uri) {
+      server = await MongoMemoryServer.create();
+      uri = server.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `test_${process.pid}` });
+    await mongoose.connection.syncIndexes();
+  } catch (error) {
+    if (server) await server.stop();
+    throw new Error(`No test database: set TEST_MONGODB_URI or let mongodb-memory-server download MongoDB (${error.message})`);
+  }
+
+  return {
+    async clear() {
+      const collections = Object.values(mongoose.connection.collections);
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+    },
+    async close() {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+      if (server) await server.stop();
+    }
+  };
+};
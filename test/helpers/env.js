@@ -0,0 +1,9 @@
+// Settings the modules under test read when they are first imported, so this
+// file has to be imported before any of them
+import './mail.js';
+
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+process.env.SELLER_STATE = 'Maharashtra';
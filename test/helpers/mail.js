@@ -0,0 +1,35 @@
+import http from 'http';
+
+// Emails sent by the code under test, as the JSON bodies posted to the Resend API
+export const sentEmails = [];
+
+// Stands in for the Resend API, so tests never send real email or need the network
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    if (req.method === 'POST' && req.url === '/emails') {
+      sentEmails.push(JSON.parse(raw));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ id: `email_test_${sentEmails.length}` }));
+  });
+});
+
+// The Resend client reads its URL when email.js is first imported, so the port
+// has to be known without waiting for listen (a top-level await here would let
+// the modules under test load first)
+const port = 20000 + (process.pid % 20000);
+server.listen(port, '127.0.0.1');
+server.unref();
+
+process.env.RESEND_BASE_URL = `http://127.0.0.1:${port}`;
+
+// Emails sent to one address
+export const emailsTo = (address) => sentEmails.filter(email => [].concat(email.to).includes(address));
+
+export const clearSentEmails = () => {
+  sentEmails.length = 0;
+};
@@ -0,0 +1,35 @@
+import Order from '../../models/Order.js';
+import { SHIPPING_ADDRESS } from './app.js';
+
+// A cash on delivery order for the given products, delivered `deliveredDaysAgo`
+// days ago. Each line costs its product price, tax included, with no shipping.
+export const createDeliveredCodOrder = async ({ user, items, deliveredDaysAgo = 1 }) => {
+  const deliveredAt = new Date(Date.now() - deliveredDaysAgo * 24 * 60 * 60 * 1000);
+  const lines = items.map(({ product, quantity = 1 }) => ({
+    product: product._id,
+    quantity,
+    price: product.price,
+    name: product.name,
+    image: product.image,
+    category: product.category,
+    taxableValue: product.price * quantity,
+    taxAmount: 0,
+    fulfilmentStatus: 'delivered',
+    deliveredAt
+  }));
+
+  return Order.create({
+    user: user._id,
+    items: lines,
+    subtotal: lines.reduce((sum, line) => sum + line.taxableValue, 0),
+    totalAmount: lines.reduce((sum, line) => sum + line.taxableValue, 0),
+    status: 'delivered',
+    paymentMethod: 'cod',
+    shippingAddress: SHIPPING_ADDRESS,
+    inventoryStatus: 'committed',
+    statusHistory: [
+      { status: 'confirmed', createdAt: new Date(deliveredAt.getTime() - 3 * 24 * 60 * 60 * 1000) },
+      { status: 'delivered', from: 'shipped', createdAt: deliveredAt }
+    ]
+  });
+};
@@ -0,0 +1,85 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createProduct, SHIPPING_ADDRESS } from './helpers/app.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('idempotency keys', () => {
+  let api;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await createCustomer();
+    product = await createProduct({ stockQuantity: 5 });
+  });
+
+  const createOrder = (key, quantity = 1, who = customer) => api.request('/api/payment/create-order', {
+    cookie: who.cookie,
+    headers: { 'Idempotency-Key': key },
+    body: {
+      items: [{ productId: product._id.toString(), quantity }],
+      shippingAddress: SHIPPING_ADDRESS
+    }
+  });
+
+  it('replays the first response to a retry instead of creating a second order', async () => {
+    const first = await createOrder('checkout-1');
+    assert.equal(first.status, 200, first.body.message);
+
+    const retry = await createOrder('checkout-1');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    assert.equal(await Order.countDocuments(), 1);
+    assert.equal((await Product.findById(product._id)).reservedQuantity, 1);
+  });
+
+  it('creates one order for a double click', async () => {
+    const responses = await Promise.all([createOrder('double-click'), createOrder('double-click')]);
+
+    assert.ok(responses.some(response => response.status === 200));
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await createOrder('checkout-2', 1);
+
+    const reused = await createOrder('checkout-2', 2);
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.message, 'Idempotency key was already used for a different request');
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it('keeps keys separate for each customer', async () => {
+    const other = await createCustomer();
+
+    const mine = await createOrder('shared-key');
+    const theirs = await createOrder('shared-key', 1, other);
+    assert.equal(mine.status, 200, mine.body.message);
+    assert.equal(theirs.status, 200, theirs.body.message);
+    assert.notEqual(theirs.body.data.orderId, mine.body.data.orderId);
+    assert.equal(await Order.countDocuments(), 2);
+  });
+
+  it('rejects keys that are too long', async () => {
+    const response = await createOrder('k'.repeat(256));
+    assert.equal(response.status, 400);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+});
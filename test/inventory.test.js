@@ -0,0 +1,81 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createStaff, createProduct, SHIPPING_ADDRESS } from './helpers/app.js';
+import { reserveStock, releaseStock } from '../utils/inventory.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import StockAdjustment from '../models/StockAdjustment.js';
+
+const db = await connectTestDatabase();
+
+describe('stock', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(() => db.clear());
+
+  it('sells a one-of-a-kind piece only once when two buyers check out together', async () => {
+    const product = await createProduct({ stockQuantity: 1 });
+    const buyers = await Promise.all([createCustomer(), createCustomer()]);
+
+    const responses = await Promise.all(buyers.map(buyer => api.request('/api/payment/create-order', {
+      cookie: buyer.cookie,
+      body: { items: [{ productId: product._id.toString(), quantity: 1 }], shippingAddress: SHIPPING_ADDRESS }
+    })));
+
+    assert.deepEqual(responses.map(response => response.status === 200).sort(), [false, true]);
+    assert.ok([400, 409].includes(responses.find(response => response.status !== 200).status));
+    assert.equal(await Order.countDocuments(), 1);
+
+    const held = await Product.findById(product._id);
+    assert.equal(held.stockQuantity, 0);
+    assert.equal(held.reservedQuantity, 1);
+    assert.equal(held.inStock, false);
+  });
+
+  it('reserves only what is available and keeps inStock in step', async () => {
+    const product = await createProduct({ stockQuantity: 2 });
+
+    assert.equal(await reserveStock(product._id, 3), false);
+    assert.equal(await reserveStock(product._id, 2), true);
+    assert.equal((await Product.findById(product._id)).inStock, false);
+
+    await releaseStock(product._id, 1);
+    const released = await Product.findById(product._id);
+    assert.equal(released.stockQuantity, 1);
+    assert.equal(released.reservedQuantity, 1);
+    assert.equal(released.inStock, true);
+  });
+
+  it('lets staff adjust stock with a reason, but never below zero', async () => {
+    const staff = await createStaff();
+    const product = await createProduct({ stockQuantity: 2 });
+    const adjust = (adjustment) => api.request(`/api/admin/products/${product._id}/stock`, {
+      cookie: staff.cookie,
+      body: { adjustment, reason: 'Stock count' }
+    });
+
+    const added = await adjust(3);
+    assert.equal(added.status, 200, added.body.message);
+    assert.equal(added.body.data.product.stockQuantity, 5);
+
+    const tooMany = await adjust(-6);
+    assert.equal(tooMany.status, 400);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 5);
+
+    const history = await StockAdjustment.find({ product: product._id });
+    assert.equal(history.length, 1);
+    assert.equal(history[0].previousQuantity, 2);
+    assert.equal(history[0].newQuantity, 5);
+  });
+});
@@ -0,0 +1,110 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder,
+  SHIPPING_ADDRESS
+} from './helpers/app.js';
+import { getFinancialYear } from '../utils/invoice.js';
+import { INVOICE_PREFIX } from '../config/tax.js';
+import Order from '../models/Order.js';
+
+const db = await connectTestDatabase();
+
+describe('getFinancialYear', () => {
+  it('starts the financial year on 1 April in India', () => {
+    assert.equal(getFinancialYear(new Date('2026-03-31T18:29:00Z')), '2025-26');
+    assert.equal(getFinancialYear(new Date('2026-03-31T18:31:00Z')), '2026-27');
+  });
+});
+
+describe('invoices', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await createCustomer();
+  });
+
+  const invoiceNumber = (seq) => `${INVOICE_PREFIX}/${getFinancialYear()}/${String(seq).padStart(5, '0')}`;
+
+  const placeCodOrder = async () => {
+    const product = await createProduct();
+    const response = await api.request('/api/payment/create-cod-order', {
+      cookie: customer.cookie,
+      body: { items: [{ productId: product._id.toString(), quantity: 1 }], shippingAddress: SHIPPING_ADDRESS }
+    });
+    assert.equal(response.status, 201, response.body.message);
+    return response.body.data.order;
+  };
+
+  it('numbers an online order when it is paid and serves its PDF', async () => {
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+
+    const pending = await Order.findOne({ razorpayOrderId: created.orderId });
+    const early = await api.request(`/api/payment/orders/${pending._id}/invoice`, { method: 'GET', cookie: customer.cookie });
+    assert.equal(early.status, 404);
+
+    await payOnlineOrder(api, customer, created.orderId);
+    const paid = await Order.findById(pending._id);
+    assert.equal(paid.invoiceNumber, invoiceNumber(1));
+
+    const invoice = await api.request(`/api/payment/orders/${paid._id}/invoice`, { method: 'GET', cookie: customer.cookie });
+    assert.equal(invoice.status, 200);
+    assert.equal(invoice.headers.get('content-type'), 'application/pdf');
+    assert.equal(invoice.body.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('does not serve invoices for other customers\' orders', async () => {
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    await payOnlineOrder(api, customer, created.orderId);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const stranger = await createCustomer();
+    const response = await api.request(`/api/payment/orders/${order._id}/invoice`, { method: 'GET', cookie: stranger.cookie });
+    assert.equal(response.status, 404);
+  });
+
+  it('numbers cash on delivery orders when the cash is collected, leaving no gaps for cancelled ones', async () => {
+    const staff = await createStaff();
+    const cancelled = await placeCodOrder();
+    const collected = await placeCodOrder();
+
+    assert.equal((await Order.findById(cancelled._id)).invoiceNumber, undefined);
+    const early = await api.request(`/api/payment/orders/${collected._id}/invoice`, { method: 'GET', cookie: customer.cookie });
+    assert.equal(early.status, 404);
+
+    const cancel = await api.request(`/api/payment/orders/${cancelled._id}/cancel`, {
+      cookie: customer.cookie,
+      body: { reason: 'Ordered by mistake' }
+    });
+    assert.equal(cancel.status, 200, cancel.body.message);
+
+    await Order.updateOne({ _id: collected._id }, { status: 'shipped' });
+    const response = await api.request(`/api/admin/orders/${collected._id}/cod-collected`, { cookie: staff.cookie, body: {} });
+    assert.equal(response.status, 200, response.body.message);
+
+    const order = await Order.findById(collected._id);
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.invoiceNumber, invoiceNumber(1));
+    assert.equal((await Order.findById(cancelled._id)).invoiceNumber, undefined);
+  });
+});
@@ -0,0 +1,90 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createProduct, createOnlineOrder } from './helpers/app.js';
+import { orderItemName, backfillOrderItemSnapshots } from '../utils/orderItems.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('orderItemName', () => {
+  it('prefers the snapshot, then the product, then a placeholder', () => {
+    assert.equal(orderItemName({ name: 'Snapshot', product: { name: 'Current' } }), 'Snapshot');
+    assert.equal(orderItemName({ product: { name: 'Current' } }), 'Current');
+    assert.equal(orderItemName({ name: null, product: { deleted: true } }), 'Item');
+  });
+});
+
+describe('order item snapshots', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await createCustomer();
+  });
+
+  const customerOrders = async () => {
+    const response = await api.request('/api/payment/orders', { method: 'GET', cookie: customer.cookie });
+    return response.body.data.orders;
+  };
+
+  it('copies the product details into each line when the order is placed', async () => {
+    const product = await createProduct({
+      name: 'Block Print Tee',
+      image: 'https://example.com/tee.jpg',
+      variants: [{ sku: 'TEE-M', options: { size: 'M' }, stockQuantity: 1 }]
+    });
+    const created = await createOnlineOrder(api, customer, [{ product, variant: product.variants[0] }]);
+
+    const [line] = (await Order.findOne({ razorpayOrderId: created.orderId })).items;
+    assert.equal(line.name, 'Block Print Tee');
+    assert.equal(line.image, 'https://example.com/tee.jpg');
+    assert.equal(line.category, 'apparel');
+    assert.equal(line.sku, 'TEE-M');
+    assert.equal(line.variantOptions.get('size'), 'M');
+    assert.equal(typeof line.taxRate, 'number');
+    assert.ok(line.hsnCode);
+  });
+
+  it('keeps showing what was bought after the product is renamed or deleted', async () => {
+    const product = await createProduct({ name: 'Original Name' });
+    await createOnlineOrder(api, customer, [{ product }]);
+
+    await Product.updateOne({ _id: product._id }, { name: 'New Name' });
+    let [order] = await customerOrders();
+    assert.equal(order.items[0].name, 'Original Name');
+
+    await Product.deleteOne({ _id: product._id });
+    [order] = await customerOrders();
+    assert.equal(order.items[0].name, 'Original Name');
+    assert.deepEqual(order.items[0].product, { _id: product._id.toString(), deleted: true });
+  });
+
+  it('backfills lines placed before snapshots were taken', async () => {
+    const product = await createProduct({ name: 'Old Print' });
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    const gone = await createProduct({ name: 'Gone' });
+    const other = await createOnlineOrder(api, customer, [{ product: gone }]);
+    await Product.deleteOne({ _id: gone._id });
+    await Order.collection.updateMany({}, { $unset: { 'items.$[].name': 1, 'items.$[].image': 1 } });
+
+    await backfillOrderItemSnapshots();
+
+    const backfilled = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(backfilled.items[0].name, 'Old Print');
+    assert.equal(backfilled.items[0].image, product.image);
+    assert.equal((await Order.findOne({ razorpayOrderId: other.orderId })).items[0].name, null);
+  });
+});
@@ -0,0 +1,131 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder
+} from './helpers/app.js';
+import { canTransition, transitionOrderStatus } from '../utils/orders.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('canTransition', () => {
+  it('follows payment, fulfilment and refund order', () => {
+    assert.equal(canTransition('pending', 'paid'), true);
+    assert.equal(canTransition('paid', 'processing'), true);
+    assert.equal(canTransition('shipped', 'delivered'), true);
+    assert.equal(canTransition('delivered', 'refunded'), true);
+  });
+
+  it('never skips payment or leaves a final state', () => {
+    assert.equal(canTransition('pending', 'delivered'), false);
+    assert.equal(canTransition('pending', 'processing'), false);
+    assert.equal(canTransition('delivered', 'shipped'), false);
+    assert.equal(canTransition('cancelled', 'paid'), false);
+    assert.equal(canTransition('refunded', 'delivered'), false);
+    assert.equal(canTransition('unknown', 'paid'), false);
+  });
+});
+
+describe('order status changes', () => {
+  let api;
+  let staff;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    staff = await createStaff('fulfilment');
+    customer = await createCustomer();
+  });
+
+  const setStatus = (order, status, note) => api.request(`/api/admin/orders/${order._id}`, {
+    method: 'PUT',
+    cookie: staff.cookie,
+    body: { status, note }
+  });
+
+  it('refuses to deliver an order that was never paid', async () => {
+    const created = await createOnlineOrder(api, customer, [{ product: await createProduct() }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const response = await setStatus(order, 'delivered');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Cannot change order status from pending to delivered');
+    assert.equal((await Order.findById(order._id)).status, 'pending');
+  });
+
+  it('only accepts statuses staff may set by hand', async () => {
+    const created = await createOnlineOrder(api, customer, [{ product: await createProduct() }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const response = await setStatus(order, 'paid');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Validation failed');
+  });
+
+  it('records who moved the order on, and releases holds when an unpaid order is called off', async () => {
+    const product = await createProduct({ stockQuantity: 1 });
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const response = await setStatus(order, 'cancelled', 'Customer asked by phone');
+    assert.equal(response.status, 200, response.body.message);
+
+    const cancelled = await Order.findById(order._id);
+    const entry = cancelled.statusHistory.at(-1);
+    assert.deepEqual([entry.from, entry.status, entry.actorType, entry.note], ['pending', 'cancelled', 'admin', 'Customer asked by phone']);
+    assert.equal(entry.actor.toString(), staff.user._id.toString());
+    assert.equal(cancelled.inventoryStatus, 'released');
+    assert.equal((await Product.findById(product._id)).stockQuantity, 1);
+  });
+
+  it('makes paid orders go through a refund instead of a cancellation', async () => {
+    const created = await createOnlineOrder(api, customer, [{ product: await createProduct() }]);
+    await payOnlineOrder(api, customer, created.orderId);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const response = await setStatus(order, 'cancelled');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Paid orders must be refunded rather than cancelled');
+  });
+
+  it('hides who changed the status from the customer timeline', async () => {
+    const created = await createOnlineOrder(api, customer, [{ product: await createProduct() }]);
+    await payOnlineOrder(api, customer, created.orderId);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal((await setStatus(order, 'processing')).status, 200);
+
+    const response = await api.request('/api/payment/orders', { method: 'GET', cookie: customer.cookie });
+    const timeline = response.body.data.orders[0].statusHistory;
+    assert.deepEqual(timeline.map(entry => entry.status), ['pending', 'paid', 'processing']);
+    assert.ok(timeline.every(entry => entry.actor === undefined));
+  });
+
+  it('lets only one of two racing status changes through', async () => {
+    const created = await createOnlineOrder(api, customer, [{ product: await createProduct() }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const results = await Promise.all([
+      transitionOrderStatus(order, 'failed'),
+      transitionOrderStatus(order, 'cancelled')
+    ]);
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal((await Order.findById(order._id)).statusHistory.length, 2);
+  });
+});
@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { emailsTo, clearSentEmails } from './helpers/mail.js';
+import { startTestServer, createCustomer } from './helpers/app.js';
+import User from '../models/User.js';
+
+const db = await connectTestDatabase();
+
+const GENERIC_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+
+describe('password reset', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    clearSentEmails();
+    customer = await createCustomer();
+  });
+
+  const forgot = (email) => api.request('/api/auth/forgot-password', { body: { email } });
+
+  // The token from the latest reset email sent to the customer
+  const emailedToken = () => emailsTo(customer.user.email).at(-1).html.match(/token=([0-9a-f]{64})/)[1];
+
+  const reset = (token, newPassword = 'NewPassword456!') => api.request('/api/auth/reset-password', {
+    body: { token, newPassword }
+  });
+
+  it('answers the same whether or not the account exists', async () => {
+    const unknown = await forgot('nobody@example.com');
+    const known = await forgot(customer.user.email);
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(known.body.message, GENERIC_MESSAGE);
+    assert.equal(emailsTo('nobody@example.com').length, 0);
+    assert.equal(emailsTo(customer.user.email).length, 1);
+  });
+
+  it('stores only a hash of the emailed token', async () => {
+    await forgot(customer.user.email);
+
+    const user = await User.findById(customer.user._id);
+    assert.ok(user.passwordResetTokenHash);
+    assert.notEqual(user.passwordResetTokenHash, emailedToken());
+  });
+
+  it('sets the new password once and signs out every session', async () => {
+    await forgot(customer.user.email);
+    const token = emailedToken();
+
+    const response = await reset(token);
+    assert.equal(response.status, 200, response.body.message);
+
+    const profile = await api.request('/api/auth/profile', { method: 'GET', cookie: customer.cookie });
+    assert.equal(profile.status, 401);
+
+    const login = await api.request('/api/auth/login', {
+      body: { email: customer.user.email, password: 'NewPassword456!' }
+    });
+    assert.equal(login.status, 200, login.body.message);
+
+    const again = await reset(token, 'AnotherPassword789!');
+    assert.equal(again.status, 400);
+  });
+
+  it('sends one link per cooldown', async () => {
+    await forgot(customer.user.email);
+    const second = await forgot(customer.user.email);
+
+    assert.equal(second.body.message, GENERIC_MESSAGE);
+    assert.equal(emailsTo(customer.user.email).length, 1);
+  });
+
+  it('rejects tokens it never issued', async () => {
+    const response = await reset('a'.repeat(64));
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /invalid or has expired/);
+  });
+});
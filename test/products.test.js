@@ -0,0 +1,100 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createStaff, createProduct } from './helpers/app.js';
+import { createDeliveredCodOrder } from './helpers/orders.js';
+import cloudinary from '../config/cloudinary.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+
+const db = await connectTestDatabase();
+
+describe('archiving and purging products', () => {
+  let api;
+  let staff;
+  let destroyed;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    staff = await createStaff();
+    destroyed = [];
+    mock.method(cloudinary.uploader, 'destroy', async (publicId) => {
+      destroyed.push(publicId);
+      return { result: 'ok' };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const shopIds = async () => {
+    const response = await api.request('/api/products', { method: 'GET' });
+    return response.body.data.products.map(product => product.id);
+  };
+
+  it('hides archived products from the shop until they are restored', async () => {
+    const product = await createProduct();
+    const id = product._id.toString();
+
+    const archived = await api.request(`/api/admin/products/${id}`, { method: 'DELETE', cookie: staff.cookie });
+    assert.equal(archived.status, 200);
+    assert.deepEqual(await shopIds(), []);
+    assert.deepEqual(destroyed, []);
+
+    const again = await api.request(`/api/admin/products/${id}`, { method: 'DELETE', cookie: staff.cookie });
+    assert.equal(again.status, 409);
+
+    const listed = await api.request('/api/admin/products?archived=true', { method: 'GET', cookie: staff.cookie });
+    assert.deepEqual(listed.body.data.products.map(item => item.id), [id]);
+
+    const restored = await api.request(`/api/admin/products/${id}/restore`, { cookie: staff.cookie });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(await shopIds(), [id]);
+  });
+
+  it('only purges archived products', async () => {
+    const product = await createProduct();
+
+    const response = await api.request(`/api/admin/products/${product._id}/purge`, { method: 'DELETE', cookie: staff.cookie });
+    assert.equal(response.status, 400);
+    assert.ok(await Product.exists({ _id: product._id }));
+  });
+
+  it('refuses to purge a product that can still be returned', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({ archivedAt: new Date() });
+    await createDeliveredCodOrder({ user: customer.user, items: [{ product }], deliveredDaysAgo: 1 });
+
+    const response = await api.request(`/api/admin/products/${product._id}/purge`, { method: 'DELETE', cookie: staff.cookie });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.message, 'Product is in orders that can still be returned');
+  });
+
+  it('keeps media that past orders still show', async () => {
+    const customer = await createCustomer();
+    const product = await createProduct({
+      archivedAt: new Date(),
+      image: 'https://example.com/ordered.jpg',
+      cloudinaryId: 'test/ordered',
+      additionalImages: [{ url: 'https://example.com/side.jpg', cloudinaryId: 'test/side' }],
+      video: { url: 'https://example.com/clip.mp4', cloudinaryId: 'test/clip' }
+    });
+    const order = await createDeliveredCodOrder({ user: customer.user, items: [{ product }], deliveredDaysAgo: 60 });
+
+    const response = await api.request(`/api/admin/products/${product._id}/purge`, { method: 'DELETE', cookie: staff.cookie });
+    assert.equal(response.status, 200, response.body.message);
+
+    assert.equal(await Product.exists({ _id: product._id }), null);
+    assert.deepEqual(destroyed.sort(), ['test/clip', 'test/side']);
+    assert.equal((await Order.findById(order._id)).items[0].image, 'https://example.com/ordered.jpg');
+  });
+});
@@ -0,0 +1,91 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createProduct, createOnlineOrder, SHIPPING_ADDRESS } from './helpers/app.js';
+import { roundMoney } from '../utils/money.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('checkout quote', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    customer = await createCustomer();
+  });
+
+  const quote = (items, shippingAddress = SHIPPING_ADDRESS) => api.request('/api/payment/quote', {
+    cookie: customer.cookie,
+    body: {
+      items: items.map(({ product, quantity = 1 }) => ({ productId: product._id.toString(), quantity })),
+      shippingAddress
+    }
+  });
+
+  it('quotes the same total that create-order charges, without holding anything', async () => {
+    const product = await createProduct({ price: 1200, stockQuantity: 2 });
+
+    const response = await quote([{ product, quantity: 2 }]);
+    assert.equal(response.status, 200, response.body.message);
+
+    const data = response.body.data;
+    assert.deepEqual(data.itemErrors, []);
+    assert.equal(data.items[0].quantity, 2);
+    assert.equal(data.isInterState, false);
+    assert.equal(data.taxBreakdown.igst, 0);
+    assert.equal(roundMoney(data.taxBreakdown.cgst + data.taxBreakdown.sgst), data.taxAmount);
+    assert.equal(data.totalAmount, roundMoney(data.taxableAmount + data.taxAmount + data.shippingCost));
+    assert.equal(data.cod.available, true);
+
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal((await Product.findById(product._id)).reservedQuantity, 0);
+
+    const created = await createOnlineOrder(api, customer, [{ product, quantity: 2 }]);
+    assert.equal(created.amount, Math.round(data.totalAmount * 100));
+  });
+
+  it('charges IGST for addresses outside the seller state', async () => {
+    const product = await createProduct();
+
+    const response = await quote([{ product }], {
+      ...SHIPPING_ADDRESS,
+      city: 'Bengaluru',
+      state: 'Karnataka',
+      pincode: '560001'
+    });
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.data.isInterState, true);
+    assert.equal(response.body.data.taxBreakdown.igst, response.body.data.taxAmount);
+  });
+
+  it('lists items that cannot be bought and quotes the rest', async () => {
+    const available = await createProduct({ name: 'Available' });
+    const soldOut = await createProduct({ name: 'Sold Out', stockQuantity: 0 });
+
+    const response = await quote([{ product: available }, { product: soldOut }]);
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.data.items.length, 1);
+    assert.deepEqual(response.body.data.itemErrors.map(error => [error.index, error.message]), [
+      [1, 'Product out of stock: Sold Out']
+    ]);
+  });
+
+  it('needs a valid pincode', async () => {
+    const response = await quote([{ product: await createProduct() }], { ...SHIPPING_ADDRESS, pincode: '4110' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Validation failed');
+  });
+});
@@ -0,0 +1,112 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder
+} from './helpers/app.js';
+import { refundOrder } from '../utils/orders.js';
+import { roundMoney } from '../utils/money.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+describe('admin refunds', () => {
+  let api;
+  let staff;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    staff = await createStaff('support_agent');
+    customer = await createCustomer();
+  });
+
+  const placePaidOrder = async (lines) => {
+    const created = await createOnlineOrder(api, customer, lines);
+    await payOnlineOrder(api, customer, created.orderId);
+    return Order.findOne({ razorpayOrderId: created.orderId });
+  };
+
+  const refund = (order, body) => api.request(`/api/admin/orders/${order._id}/refund`, {
+    cookie: staff.cookie,
+    body: { reason: 'Damaged in transit', ...body }
+  });
+
+  it('refunds chosen items first and the rest of the order later', async () => {
+    const painting = await createProduct({ name: 'Painting', price: 1000, category: 'painting', stockQuantity: 1 });
+    const tee = await createProduct({ name: 'Tee', price: 500, stockQuantity: 3 });
+    const order = await placePaidOrder([{ product: painting }, { product: tee, quantity: 2 }]);
+    const teeLine = order.items.find(item => item.name === 'Tee');
+
+    const partial = await refund(order, { items: [{ itemId: teeLine._id.toString(), quantity: 1 }], restock: true });
+    assert.equal(partial.status, 200, partial.body.message);
+    assert.equal(partial.body.data.order.status, 'partially_refunded');
+    assert.ok(partial.body.data.refund.razorpayRefundId);
+    assert.equal(partial.body.data.refund.status, 'processed');
+
+    let refunded = await Order.findById(order._id);
+    assert.equal(refunded.items.id(teeLine._id).refundedQuantity, 1);
+    assert.equal((await Product.findById(tee._id)).stockQuantity, 2);
+
+    const tooMany = await refund(order, { items: [{ itemId: teeLine._id.toString(), quantity: 2 }] });
+    assert.equal(tooMany.status, 400);
+    assert.match(tooMany.body.message, /Only 1 unit/);
+
+    const rest = await refund(order, {});
+    assert.equal(rest.status, 200, rest.body.message);
+
+    refunded = await Order.findById(order._id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refunds.length, 2);
+    assert.equal(roundMoney(refunded.refunds.reduce((sum, entry) => sum + entry.amount, 0)), refunded.totalAmount);
+    assert.ok(refunded.items.every(item => item.refundedQuantity === item.quantity));
+    assert.equal(refunded.statusHistory.at(-1).actor.toString(), staff.user._id.toString());
+
+    const again = await refund(order, {});
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, 'Order is already fully refunded');
+  });
+
+  it('does not refund unpaid orders', async () => {
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+
+    const response = await refund(order, {});
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Orders that are pending cannot be refunded');
+  });
+
+  it('refunds a paid order only once when two refunds race', async () => {
+    const order = await placePaidOrder([{ product: await createProduct() }]);
+
+    const results = await Promise.all([
+      refundOrder(order, { reason: 'First' }),
+      refundOrder(order, { reason: 'Second' })
+    ]);
+
+    assert.equal(results.filter(result => result.refund).length, 1);
+    assert.equal(results.filter(result => result.status === 409).length, 1);
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refunds.length, 1);
+    assert.equal(refunded.refundClaim?.claimedAt, undefined);
+  });
+});
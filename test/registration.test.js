@@ -0,0 +1,97 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { emailsTo, clearSentEmails } from './helpers/mail.js';
+import { startTestServer } from './helpers/app.js';
+import { MAX_VERIFICATION_ATTEMPTS } from '../config/auth.js';
+import PendingRegistration from '../models/PendingRegistration.js';
+import User from '../models/User.js';
+
+const db = await connectTestDatabase();
+
+const EMAIL = 'new.customer@example.com';
+const PASSWORD = 'Password123!';
+
+describe('registration', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    clearSentEmails();
+  });
+
+  const register = () => api.request('/api/auth/register', {
+    body: { email: EMAIL, password: PASSWORD, name: 'New Customer' }
+  });
+
+  const verify = (code) => api.request('/api/auth/verify', { body: { email: EMAIL, code } });
+
+  // The code from the latest verification email
+  const emailedCode = () => emailsTo(EMAIL).at(-1).html.match(/<div class="code">(\d{6})<\/div>/)[1];
+
+  const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  it('keeps the sign-up on the server and hands the browser nothing secret', async () => {
+    const response = await register();
+    assert.equal(response.status, 201, response.body.message);
+    assert.deepEqual(Object.keys(response.body.data).sort(), ['email', 'name', 'needsVerification', 'verificationCodeExpires']);
+
+    const pending = await PendingRegistration.findOne({ email: EMAIL });
+    assert.notEqual(pending.passwordHash, PASSWORD);
+    assert.notEqual(pending.codeHash, emailedCode());
+    assert.equal(await User.exists({ email: EMAIL }), null);
+  });
+
+  it('creates the account once the emailed code is entered, and only once', async () => {
+    await register();
+    const code = emailedCode();
+
+    const wrong = await verify(wrongCode(code));
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.attemptsRemaining, MAX_VERIFICATION_ATTEMPTS - 1);
+
+    const verified = await verify(code);
+    assert.equal(verified.status, 200, verified.body.message);
+    assert.match(verified.headers.get('set-cookie'), /authToken=/);
+
+    const user = await User.findOne({ email: EMAIL }).select('+password');
+    assert.equal(user.isVerified, true);
+    assert.equal(await user.comparePassword(PASSWORD), true);
+    assert.equal(await PendingRegistration.exists({ email: EMAIL }), null);
+
+    const reused = await verify(code);
+    assert.equal(reused.status, 400);
+  });
+
+  it('stops accepting codes after too many wrong guesses', async () => {
+    await register();
+    const code = emailedCode();
+
+    for (let attempt = 0; attempt < MAX_VERIFICATION_ATTEMPTS; attempt++) {
+      await verify(wrongCode(code));
+    }
+
+    const blocked = await verify(code);
+    assert.equal(blocked.status, 429);
+    assert.equal(await User.exists({ email: EMAIL }), null);
+  });
+
+  it('makes resends wait for the cooldown', async () => {
+    await register();
+
+    const resend = await api.request('/api/auth/resend-verification', { body: { email: EMAIL } });
+    assert.equal(resend.status, 429);
+    assert.match(resend.body.message, /Please wait \d+ seconds/);
+    assert.equal(emailsTo(EMAIL).length, 1);
+  });
+});
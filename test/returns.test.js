@@ -0,0 +1,133 @@
+import './helpers/env.js';
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { createCustomer, createProduct } from './helpers/app.js';
+import { createDeliveredCodOrder } from './helpers/orders.js';
+import { RETURN_WINDOW_DAYS } from '../config/returns.js';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import {
+  getReturnIneligibility,
+  getReturnDeadline,
+  createReturnRequest,
+  refundReturnItems
+} from '../utils/returns.js';
+
+const db = await connectTestDatabase();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const deliveredOrder = (deliveredAt, status = 'delivered') => ({
+  status,
+  statusHistory: [
+    { status: 'paid', createdAt: new Date(deliveredAt.getTime() - 5 * DAY) },
+    { status: 'delivered', createdAt: deliveredAt }
+  ]
+});
+
+describe('return window', () => {
+  it('opens when the order is delivered', () => {
+    const deliveredAt = new Date('2026-03-01T10:00:00Z');
+    const deadline = getReturnDeadline(deliveredOrder(deliveredAt));
+    assert.equal(deadline.getTime(), deliveredAt.getTime() + RETURN_WINDOW_DAYS * DAY);
+  });
+
+  it('allows returns inside the window only', () => {
+    const deliveredAt = new Date('2026-03-01T10:00:00Z');
+    const order = deliveredOrder(deliveredAt);
+
+    assert.equal(getReturnIneligibility(order, new Date(deliveredAt.getTime() + DAY)), null);
+    assert.match(
+      getReturnIneligibility(order, new Date(deliveredAt.getTime() + (RETURN_WINDOW_DAYS + 1) * DAY)),
+      /return window for this order closed/
+    );
+  });
+
+  it('does not allow returns before delivery', () => {
+    const order = { status: 'shipped', statusHistory: [{ status: 'shipped', createdAt: new Date() }] };
+    assert.match(getReturnIneligibility(order), /once the order has been delivered/);
+  });
+});
+
+describe('return requests', () => {
+  after(() => db.close());
+
+  beforeEach(() => db.clear());
+
+  const requestFields = (user) => ({ user: user._id, type: 'refund', reason: 'damaged' });
+
+  it('lets only one of two parallel requests take the same units', async () => {
+    const { user } = await createCustomer();
+    const product = await createProduct();
+    const order = await createDeliveredCodOrder({ user, items: [{ product, quantity: 2 }] });
+    const itemId = order.items[0]._id.toString();
+
+    const results = await Promise.all([
+      createReturnRequest(order, [{ itemId, quantity: 2 }], requestFields(user)),
+      createReturnRequest(order, [{ itemId, quantity: 2 }], requestFields(user))
+    ]);
+
+    assert.equal(results.filter(result => result.returnRequest).length, 1);
+    assert.equal(await ReturnRequest.countDocuments({ order: order._id }), 1);
+    assert.equal((await Order.findById(order._id)).returnClaimedAt, undefined);
+  });
+
+  it('refuses units another return already holds', async () => {
+    const { user } = await createCustomer();
+    const product = await createProduct();
+    const order = await createDeliveredCodOrder({ user, items: [{ product, quantity: 2 }] });
+    const itemId = order.items[0]._id.toString();
+
+    const first = await createReturnRequest(order, [{ itemId, quantity: 1 }], requestFields(user));
+    assert.ok(first.returnRequest);
+
+    const second = await createReturnRequest(order, [{ itemId, quantity: 2 }], requestFields(user));
+    assert.equal(second.status, 400);
+    assert.match(second.error, /Only 1 unit/);
+  });
+
+  it('refunds a cash on delivery return by reference and updates the order status', async () => {
+    const { user } = await createCustomer();
+    const order = await createDeliveredCodOrder({
+      user,
+      items: [{ product: await createProduct({ price: 1000 }) }, { product: await createProduct({ price: 500 }) }]
+    });
+
+    const { returnRequest } = await createReturnRequest(
+      order,
+      [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+      requestFields(user)
+    );
+
+    assert.match((await refundReturnItems(returnRequest, order, {})).error, /payout reference/);
+
+    const result = await refundReturnItems(returnRequest, order, { reference: 'UPI-123' });
+    assert.equal(result.refund.amount, 1000);
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.status, 'partially_refunded');
+    assert.equal(refunded.items[0].refundedQuantity, 1);
+    assert.equal(refunded.refunds.length, 1);
+    assert.equal(refunded.refunds[0].reference, 'UPI-123');
+
+    // The same refund again is turned down instead of paying out twice
+    const again = await refundReturnItems(returnRequest, order, { reference: 'UPI-124' });
+    assert.ok(again.error);
+    assert.equal((await Order.findById(order._id)).refunds.length, 1);
+  });
+
+  it('marks the order refunded once everything has been paid back', async () => {
+    const { user } = await createCustomer();
+    const order = await createDeliveredCodOrder({ user, items: [{ product: await createProduct({ price: 800 }) }] });
+
+    const { returnRequest } = await createReturnRequest(
+      order,
+      [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+      requestFields(user)
+    );
+    await refundReturnItems(returnRequest, order, { reference: 'NEFT-9' });
+
+    assert.equal((await Order.findById(order._id)).status, 'refunded');
+  });
+});
@@ -0,0 +1,123 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createStaff, createProduct } from './helpers/app.js';
+import { hasPermission, rolesWith } from '../utils/roles.js';
+import cloudinary from '../config/cloudinary.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+
+describe('role permissions', () => {
+  it('grants owners every permission', () => {
+    assert.ok(hasPermission({ role: 'owner' }, 'roles:manage'));
+    assert.ok(hasPermission({ role: 'owner' }, 'products:purge'));
+  });
+
+  it('limits the other roles to their own work', () => {
+    assert.ok(hasPermission({ role: 'support_agent' }, 'orders:refund'));
+    assert.ok(!hasPermission({ role: 'support_agent' }, 'products:purge'));
+    assert.ok(!hasPermission({ role: 'support_agent' }, 'inventory:manage'));
+    assert.ok(!hasPermission({ role: 'catalog_manager' }, 'orders:read'));
+    assert.ok(!hasPermission({ role: 'fulfilment' }, 'orders:refund'));
+  });
+
+  it('grants customers and unknown roles nothing', () => {
+    assert.ok(!hasPermission({ role: null }, 'orders:read'));
+    assert.ok(!hasPermission({ role: 'intern' }, 'orders:read'));
+    assert.ok(!hasPermission(null, 'orders:read'));
+  });
+
+  it('lists the roles that grant a permission', () => {
+    assert.deepEqual(rolesWith('inventory:manage'), ['owner', 'catalog_manager', 'fulfilment']);
+  });
+});
+
+const db = await connectTestDatabase();
+
+describe('admin API access', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const adjustStock = (staff, product) => api.request(`/api/admin/products/${product._id}/stock`, {
+    cookie: staff.cookie,
+    body: { adjustment: 2, reason: 'Recount' }
+  });
+
+  const purge = (staff, product) => api.request(`/api/admin/products/${product._id}/purge`, {
+    method: 'DELETE',
+    cookie: staff.cookie
+  });
+
+  it('turns customers away', async () => {
+    const customer = await createCustomer();
+    const response = await api.request('/api/admin/roles', { method: 'GET', cookie: customer.cookie });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.message, 'Admin access required');
+  });
+
+  it('sends staff without two-factor authentication to set it up', async () => {
+    const owner = await createCustomer({ role: 'owner' });
+    const response = await api.request('/api/admin/roles', { method: 'GET', cookie: owner.cookie });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.twoFactorSetupRequired, true);
+  });
+
+  it('keeps support agents away from stock and purging', async () => {
+    const agent = await createStaff('support_agent');
+    const product = await createProduct({ archivedAt: new Date() });
+
+    const stock = await adjustStock(agent, product);
+    assert.equal(stock.status, 403);
+
+    const purged = await purge(agent, product);
+    assert.equal(purged.status, 403);
+
+    const unchanged = await Product.findById(product._id);
+    assert.equal(unchanged.stockQuantity, 5);
+  });
+
+  it('lets owners adjust stock and purge', async () => {
+    const owner = await createStaff('owner');
+    const product = await createProduct({ archivedAt: new Date() });
+
+    const stock = await adjustStock(owner, product);
+    assert.equal(stock.status, 200, stock.body.message);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 7);
+
+    const purged = await purge(owner, product);
+    assert.equal(purged.status, 200, purged.body.message);
+    assert.equal(await Product.findById(product._id), null);
+  });
+
+  it('only lets owners assign roles', async () => {
+    const manager = await createStaff('catalog_manager');
+    const customer = await createCustomer();
+
+    const response = await api.request(`/api/admin/users/${customer.user._id}/role`, {
+      method: 'PUT',
+      cookie: manager.cookie,
+      body: { role: 'catalog_manager' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal((await User.findById(customer.user._id)).role, null);
+  });
+});
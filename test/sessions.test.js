@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { connectTestDatabase } from './helpers/db.js';
+import Session from '../models/Session.js';
+import { createSession, rotateSession, findActiveSession } from '../utils/sessions.js';
+
+const db = await connectTestDatabase();
+
+const fakeRequest = { get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0', ip: '127.0.0.1' };
+
+describe('refresh token rotation', () => {
+  after(() => db.close());
+
+  beforeEach(() => db.clear());
+
+  const startSession = () => createSession({ _id: new mongoose.Types.ObjectId() }, fakeRequest);
+
+  it('swaps a refresh token for a new one', async () => {
+    const { session, refreshToken } = await startSession();
+    assert.equal(session.device, 'Chrome on Windows');
+
+    const rotated = await rotateSession(refreshToken, fakeRequest);
+    assert.ok(rotated.accessToken);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.ok(rotated.session._id.equals(session._id));
+  });
+
+  it('lets only one of two parallel refreshes with the same token succeed', async () => {
+    const { session, refreshToken } = await startSession();
+
+    const results = await Promise.all([
+      rotateSession(refreshToken, fakeRequest),
+      rotateSession(refreshToken, fakeRequest)
+    ]);
+
+    assert.equal(results.filter(result => result.session).length, 1);
+    // The loser presented an already used token, which signs the session out
+    assert.equal(results.filter(result => result.reused).length, 1);
+    assert.equal(await findActiveSession(session._id, session.user), null);
+  });
+
+  it('revokes the session when an old refresh token is reused', async () => {
+    const { session, refreshToken } = await startSession();
+    const rotated = await rotateSession(refreshToken, fakeRequest);
+
+    const reused = await rotateSession(refreshToken, fakeRequest);
+    assert.equal(reused.reused, true);
+
+    const revoked = await Session.findById(session._id);
+    assert.equal(revoked.revokedReason, 'token_reuse');
+    assert.equal((await rotateSession(rotated.refreshToken, fakeRequest)).reused, false);
+  });
+});
@@ -0,0 +1,99 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createStaff,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder
+} from './helpers/app.js';
+import Order from '../models/Order.js';
+
+const db = await connectTestDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('shipments and tracking', () => {
+  let api;
+  let staff;
+  let order;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    staff = await createStaff();
+    const customer = await createCustomer();
+    const product = await createProduct();
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    await payOnlineOrder(api, customer, created.orderId);
+    order = await Order.findOneAndUpdate(
+      { razorpayOrderId: created.orderId },
+      { status: 'processing' },
+      { new: true }
+    );
+  });
+
+  const ship = (fields) => api.request(`/api/admin/orders/${order._id}/shipments`, {
+    cookie: staff.cookie,
+    body: { carrier: 'delhivery', awb: 'AWB12345', ...fields }
+  });
+
+  const refresh = () => api.request(`/api/admin/orders/${order._id}/shipments/refresh`, { cookie: staff.cookie });
+
+  it('records a shipment with the carrier tracking link and ships the order', async () => {
+    const response = await ship();
+    assert.equal(response.status, 201, response.body.message);
+
+    const shipped = await Order.findById(order._id);
+    assert.equal(shipped.status, 'shipped');
+    assert.equal(shipped.shipments.length, 1);
+    assert.equal(shipped.shipments[0].trackingUrl, 'https://www.delhivery.com/track/package/AWB12345');
+    assert.ok(shipped.shipments[0].expectedDeliveryAt > shipped.shipments[0].shippedAt);
+    assert.equal(shipped.items[0].fulfilmentStatus, 'shipped');
+
+    const again = await ship();
+    assert.equal(again.status, 409);
+  });
+
+  it('marks the order delivered when tracking says the parcel arrived', async () => {
+    await ship({
+      shippedAt: new Date(Date.now() - 6 * DAY_MS).toISOString(),
+      expectedDeliveryAt: new Date(Date.now() - 2 * DAY_MS).toISOString()
+    });
+
+    const response = await refresh();
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.message, 'All shipments delivered; order marked delivered');
+
+    const delivered = await Order.findById(order._id);
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.shipments[0].status, 'delivered');
+    assert.equal(delivered.items[0].fulfilmentStatus, 'delivered');
+  });
+
+  it('leaves the order shipped when the carrier reports an exception', async () => {
+    await ship({
+      awb: 'EXC12345',
+      shippedAt: new Date(Date.now() - 6 * DAY_MS).toISOString(),
+      expectedDeliveryAt: new Date(Date.now() - 2 * DAY_MS).toISOString()
+    });
+
+    const response = await refresh();
+    assert.equal(response.status, 200, response.body.message);
+
+    const stuck = await Order.findById(order._id);
+    assert.equal(stuck.status, 'shipped');
+    assert.equal(stuck.shipments[0].status, 'exception');
+  });
+});
@@ -0,0 +1,32 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateShipping, getShippingZone, getChargeableWeight } from '../utils/shipping.js';
+
+describe('shipping', () => {
+  it('uses the remote zone for North East pincodes', () => {
+    assert.equal(getShippingZone({ pincode: '781001', state: 'Assam' }).name, 'remote');
+    assert.equal(getShippingZone({ pincode: '560001', state: 'Karnataka' }).name, 'national');
+    assert.equal(getShippingZone({ pincode: '411001', state: 'Maharashtra' }).name, 'local');
+  });
+
+  it('bills the greater of actual and volumetric weight', () => {
+    assert.equal(getChargeableWeight({ category: 'apparel' }), 300);
+    assert.equal(getChargeableWeight({ category: 'apparel', dimensions: { length: 50, width: 40, height: 10 } }), 4000);
+  });
+
+  it('charges per weight slab plus class surcharges, and nothing above the threshold', () => {
+    const products = [{ category: 'painting' }];
+    const orderItems = [{ quantity: 1 }];
+    const shippingAddress = { pincode: '560001', state: 'Karnataka' };
+
+    // 2000 g painting: 4 slabs nationally plus the fragile surcharge
+    const charged = calculateShipping({ orderItems, products, shippingAddress, orderValue: 1500 });
+    assert.equal(charged.shippingCost, 70 + 3 * 35 + 150);
+    assert.equal(charged.freeShipping, false);
+
+    const free = calculateShipping({ orderItems, products, shippingAddress, orderValue: 2500 });
+    assert.equal(free.shippingCost, 0);
+    assert.equal(free.freeShipping, true);
+  });
+});
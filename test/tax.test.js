@@ -0,0 +1,53 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTax, isInterStateSupply, getTaxRule } from '../utils/tax.js';
+import { roundMoney } from '../utils/money.js';
+
+describe('GST', () => {
+  it('charges CGST and SGST within the seller state and IGST outside it', () => {
+    assert.equal(isInterStateSupply('maharashtra'), false);
+    assert.equal(isInterStateSupply('Karnataka'), true);
+
+    const local = [{ price: 1000, quantity: 1 }];
+    const localTotals = applyTax(local, ['painting'], 'Maharashtra');
+    assert.equal(localTotals.taxAmount, 120);
+    assert.equal(local[0].cgst + local[0].sgst, 120);
+    assert.equal(local[0].igst, 0);
+
+    const remote = [{ price: 1000, quantity: 1 }];
+    const remoteTotals = applyTax(remote, ['painting'], 'Karnataka');
+    assert.equal(remoteTotals.igst, 120);
+    assert.equal(remoteTotals.isInterState, true);
+  });
+
+  it('picks the apparel slab from the discounted unit value', () => {
+    const items = [{ price: 1100, quantity: 2, discount: 400 }];
+    applyTax(items, ['apparel'], 'Karnataka');
+
+    // 900 per unit after the discount falls in the 5% slab
+    assert.equal(items[0].taxableValue, 1800);
+    assert.equal(items[0].taxRate, 5);
+    assert.equal(items[0].taxAmount, 90);
+  });
+
+  it('uses the default rate for categories without their own rule', () => {
+    assert.equal(getTaxRule('unknown', 100).rate, 18);
+  });
+
+  it('splits an odd paisa so the halves add up', () => {
+    const items = [{ price: 100.1, quantity: 1 }];
+    applyTax(items, ['accessories'], 'Maharashtra');
+
+    assert.equal(roundMoney(items[0].cgst + items[0].sgst), items[0].taxAmount);
+    assert.ok(items[0].cgst >= items[0].sgst);
+  });
+});
+
+describe('roundMoney', () => {
+  it('rounds to whole paise', () => {
+    assert.equal(roundMoney(10.005), 10.01);
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+    assert.equal(roundMoney(99.994), 99.99);
+  });
+});
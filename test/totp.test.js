@@ -0,0 +1,43 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateTotp,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 SHA1 test vectors', () => {
+    assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), '005924');
+  });
+
+  it('accepts codes from the neighbouring time step and returns their step', () => {
+    const now = 1234567890 * 1000;
+    const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, previous, now), Math.floor(now / 1000 / 30) - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 5 * 60 * 1000), now), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', now), null);
+  });
+
+  it('encrypts secrets so they can be read back', () => {
+    const stored = encryptSecret(RFC_SECRET);
+    assert.notEqual(stored, RFC_SECRET);
+    assert.equal(decryptSecret(stored), RFC_SECRET);
+  });
+
+  it('matches recovery codes however they are typed', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    assert.equal(codes.length, hashes.length);
+    assert.equal(hashRecoveryCode(codes[0].toUpperCase().replace(/-/g, ' ')), hashes[0]);
+  });
+});
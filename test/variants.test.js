@@ -0,0 +1,101 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import { startTestServer, createCustomer, createProduct, createOnlineOrder } from './helpers/app.js';
+import { priceOrderItems } from '../utils/pricing.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+const db = await connectTestDatabase();
+
+const createTee = () => createProduct({
+  name: 'Block Print Tee',
+  price: 900,
+  discountPrice: 800,
+  variants: [
+    { sku: 'tee-s', options: { size: 'S' }, stockQuantity: 2 },
+    { sku: 'tee-xl', options: { size: 'XL' }, price: 1100, discountPrice: 1000, stockQuantity: 1 }
+  ]
+});
+
+describe('product variants', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(() => db.clear());
+
+  it('keeps SKUs upper case and stock totals in step with the variants', async () => {
+    const tee = await createTee();
+    assert.deepEqual(tee.variants.map(variant => variant.sku), ['TEE-S', 'TEE-XL']);
+    assert.equal(tee.stockQuantity, 3);
+    assert.equal(tee.inStock, true);
+
+    await assert.rejects(createProduct({
+      variants: [{ sku: 'DUP' }, { sku: 'dup' }]
+    }), /Variant SKUs must be unique/);
+  });
+
+  it('prices each variant from its own price, or the product price', async () => {
+    const tee = await createTee();
+    const [small, large] = tee.variants;
+
+    const { orderItems, subtotal, itemErrors } = await priceOrderItems([
+      { productId: tee._id, variantId: small._id, quantity: 1 },
+      { productId: tee._id, variantId: large._id, quantity: 1 }
+    ]);
+
+    assert.deepEqual(itemErrors, []);
+    assert.deepEqual(orderItems.map(item => [item.sku, item.price, item.originalPrice, item.selectedSize]), [
+      ['TEE-S', 800, 900, 'S'],
+      ['TEE-XL', 1000, 1100, 'XL']
+    ]);
+    assert.equal(subtotal, 1800);
+  });
+
+  it('rejects missing, unknown and unexpected variants and unlisted sizes', async () => {
+    const tee = await createTee();
+    const print = await createProduct({ name: 'Wall Print', size: 'A4, A3' });
+
+    const { itemErrors } = await priceOrderItems([
+      { productId: tee._id, quantity: 1 },
+      { productId: tee._id, variantId: print._id, quantity: 1 },
+      { productId: print._id, variantId: tee.variants[0]._id, quantity: 1 },
+      { productId: print._id, selectedSize: 'A2', quantity: 1 },
+      { productId: tee._id, variantId: tee.variants[1]._id, quantity: 2 }
+    ]);
+
+    assert.deepEqual(itemErrors.map(error => error.message), [
+      'Please select an option for: Block Print Tee',
+      'Selected option not available for: Block Print Tee',
+      'Product has no options: Wall Print',
+      'Invalid size for: Wall Print',
+      'Only 1 left in stock: Block Print Tee'
+    ]);
+  });
+
+  it('reserves stock on the chosen variant', async () => {
+    const customer = await createCustomer();
+    const tee = await createTee();
+    const large = tee.variants[1];
+
+    const created = await createOnlineOrder(api, customer, [{ product: tee, variant: large }]);
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(order.items[0].variant.toString(), large._id.toString());
+    assert.equal(order.items[0].sku, 'TEE-XL');
+
+    const held = await Product.findById(tee._id);
+    assert.equal(held.variants.id(large._id).stockQuantity, 0);
+    assert.equal(held.variants.id(large._id).reservedQuantity, 1);
+    assert.equal(held.variants[0].stockQuantity, 2);
+    assert.equal(held.stockQuantity, 2);
+  });
+});
@@ -0,0 +1,130 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase } from './helpers/db.js';
+import {
+  startTestServer,
+  createCustomer,
+  createProduct,
+  createOnlineOrder,
+  payOnlineOrder,
+  sendWebhook,
+  capturedEvent
+} from './helpers/app.js';
+import { paymentProvider } from '../config/payment.js';
+import Order from '../models/Order.js';
+
+const db = await connectTestDatabase();
+
+const refundEvent = (id, paymentId, amount) => ({
+  event: 'refund.processed',
+  payload: {
+    refund: { entity: { id, payment_id: paymentId, amount } }
+  }
+});
+
+describe('payment webhooks', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+    await db.close();
+  });
+
+  beforeEach(() => db.clear());
+
+  const placeOrder = async (price = 1000) => {
+    const customer = await createCustomer();
+    const product = await createProduct({ price });
+    const created = await createOnlineOrder(api, customer, [{ product }]);
+    return { customer, created };
+  };
+
+  it('marks an order paid from the webhook alone and ignores redelivery', async () => {
+    const { created } = await placeOrder();
+    const payment = paymentProvider.simulatePayment(created.orderId);
+    const event = capturedEvent(payment, created.amount);
+
+    const first = await sendWebhook(api, 'evt_paid_1', event);
+    assert.equal(first.status, 200);
+    assert.equal((await Order.findOne({ razorpayOrderId: created.orderId })).status, 'paid');
+
+    const again = await sendWebhook(api, 'evt_paid_1', event);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, 'Event already processed');
+  });
+
+  it('ignores a capture for the wrong amount', async () => {
+    const { created } = await placeOrder();
+    const payment = paymentProvider.simulatePayment(created.orderId);
+
+    const response = await sendWebhook(api, 'evt_short', capturedEvent(payment, created.amount - 100));
+    assert.equal(response.status, 200);
+    assert.equal((await Order.findOne({ razorpayOrderId: created.orderId })).status, 'pending');
+  });
+
+  it('fails an order when its payment fails', async () => {
+    const { created } = await placeOrder();
+
+    const response = await sendWebhook(api, 'evt_failed', {
+      event: 'payment.failed',
+      payload: {
+        payment: { entity: { id: 'pay_failed', order_id: created.orderId, error_description: 'Card declined' } }
+      }
+    });
+    assert.equal(response.status, 200);
+
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(order.status, 'failed');
+    assert.match(order.notes, /Card declined/);
+  });
+
+  it('rejects a webhook with a bad signature', async () => {
+    const response = await api.request('/api/payment/webhook', {
+      body: JSON.stringify({ event: 'payment.captured', payload: {} }),
+      headers: { 'x-razorpay-signature': 'forged', 'x-razorpay-event-id': 'evt_forged' }
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it('records dashboard refunds and moves the order to partially_refunded, then refunded', async () => {
+    const { customer, created } = await placeOrder();
+    const payment = await payOnlineOrder(api, customer, created.orderId);
+    const paymentId = payment.razorpay_payment_id;
+
+    const partial = await sendWebhook(api, 'evt_refund_1', refundEvent('rfnd_dash_1', paymentId, 30000));
+    assert.equal(partial.status, 200);
+
+    let order = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(order.status, 'partially_refunded');
+    assert.equal(order.refunds.length, 1);
+    assert.equal(order.refunds[0].amount, 300);
+
+    const rest = created.amount - 30000;
+    await sendWebhook(api, 'evt_refund_2', refundEvent('rfnd_dash_2', paymentId, rest));
+
+    order = await Order.findById(order._id);
+    assert.equal(order.status, 'refunded');
+    assert.equal(order.refunds.length, 2);
+  });
+
+  it('only marks a refund it already knows about as processed', async () => {
+    const { customer, created } = await placeOrder();
+    const payment = await payOnlineOrder(api, customer, created.orderId);
+
+    await Order.updateOne(
+      { razorpayOrderId: created.orderId },
+      { $push: { refunds: { razorpayRefundId: 'rfnd_known', amount: 100, status: 'pending' } } }
+    );
+
+    await sendWebhook(api, 'evt_refund_known', refundEvent('rfnd_known', payment.razorpay_payment_id, 10000));
+
+    const order = await Order.findOne({ razorpayOrderId: created.orderId });
+    assert.equal(order.refunds.length, 1);
+    assert.equal(order.refunds[0].status, 'processed');
+  });
+});
@@ -0,0 +1,26 @@
+import {
+  COD_ENABLED,
+  COD_MAX_ORDER_VALUE,
+  COD_EXCLUDED_ZONES,
+  COD_BLOCKED_PINCODE_PREFIXES
+} from '../config/cod.js';
+import { getShippingZone } from './shipping.js';
+
+// Why an order cannot be paid cash on delivery, or null if it can.
+// totalAmount is the order total including the COD fee.
+export const getCodIneligibility = ({ shippingAddress, totalAmount }) => {
+  if (!COD_ENABLED) {
+    return 'Cash on delivery is currently unavailable';
+  }
+  if (totalAmount > COD_MAX_ORDER_VALUE) {
+    return `Cash on delivery is only available for orders up to ₹${COD_MAX_ORDER_VALUE}`;
+  }
+
+  const pincode = String(shippingAddress.pincode || '').trim();
+  if (COD_BLOCKED_PINCODE_PREFIXES.some(prefix => pincode.startsWith(prefix)) ||
+    COD_EXCLUDED_ZONES.includes(getShippingZone(shippingAddress).name)) {
+    return 'Cash on delivery is not available for this pincode';
+  }
+
+  return null;
+};
@@ -0,0 +1,150 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { roundMoney } from './money.js';
+
+// Whether a coupon's category/product restrictions allow this product
+const appliesTo = (coupon, product) => {
+  const hasCategories = coupon.applicableCategories.length > 0;
+  const hasProducts = coupon.applicableProducts.length > 0;
+  if (!hasCategories && !hasProducts) return true;
+
+  return (hasCategories && coupon.applicableCategories.includes(product.category)) ||
+    (hasProducts && coupon.applicableProducts.some(id => id.equals(product._id)));
+};
+
+// Check a coupon against a priced cart (see priceOrderItems) for a customer.
+// Returns { coupon, discountAmount, eligibleSubtotal, lineDiscounts } where
+// lineDiscounts[i] is the share of the discount on orderItems[i], or { error }.
+export const evaluateCoupon = async (code, { user, orderItems, products, subtotal }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+  if (subtotal < coupon.minOrderValue) {
+    return { error: `This coupon needs a minimum order value of ₹${coupon.minOrderValue}` };
+  }
+
+  // Early check for a friendly error; redeemCoupon enforces the limit
+  const userUses = await CouponRedemption.countDocuments({ coupon: coupon._id, user });
+  if (userUses >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  const lineTotals = orderItems.map((item, index) =>
+    appliesTo(coupon, products[index]) ? item.price * item.quantity : 0
+  );
+  const eligibleSubtotal = roundMoney(lineTotals.reduce((sum, total) => sum + total, 0));
+  if (eligibleSubtotal <= 0) {
+    return { error: 'This coupon does not apply to the items in your cart' };
+  }
+
+  let discountAmount = coupon.discountType === 'percentage'
+    ? eligibleSubtotal * coupon.discountValue / 100
+    : coupon.discountValue;
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+    discountAmount = Math.min(discountAmount, coupon.maxDiscount);
+  }
+  discountAmount = roundMoney(Math.min(discountAmount, eligibleSubtotal));
+
+  // Spread the discount over eligible lines by value; the last one absorbs rounding
+  const lineDiscounts = lineTotals.map(total => roundMoney(discountAmount * total / eligibleSubtotal));
+  const drift = roundMoney(discountAmount - lineDiscounts.reduce((sum, amount) => sum + amount, 0));
+  const lastEligible = lineTotals.map(total => total > 0).lastIndexOf(true);
+  lineDiscounts[lastEligible] = roundMoney(lineDiscounts[lastEligible] + drift);
+
+  return { coupon, discountAmount, eligibleSubtotal, lineDiscounts };
+};
+
+// Take the first free redemption slot of a customer for an order, up to
+// maxSlots. Returns false if every slot is taken.
+const claimRedemptionSlot = async ({ coupon, user, order, maxSlots = Infinity }) => {
+  for (let slot = 0; slot < maxSlots; slot++) {
+    try {
+      await CouponRedemption.create({ coupon, user, order, slot });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+// Count one use of a coupon for an order, unless the coupon's global limit or
+// the customer's own limit was reached in the meantime.
+// Returns null on success, or the reason it failed.
+export const redeemCoupon = async (coupon, { user, order }) => {
+  const counted = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!counted) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  const claimed = await claimRedemptionSlot({ coupon: coupon._id, user, order, maxSlots: counted.perUserLimit });
+  if (!claimed) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return 'You have already used this coupon';
+  }
+
+  return null;
+};
+
+// Undo redeemCoupon for an order, e.g. when the order could not be created.
+// Only an order that still holds a redemption gives a use back, so calling
+// this twice, or for an order that never redeemed, changes nothing.
+export const unredeemCoupon = async (couponId, orderId) => {
+  const removed = await CouponRedemption.deleteOne({ coupon: couponId, order: orderId });
+  if (removed.deletedCount === 0) return false;
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return true;
+};
+
+// Give back the coupon use held by an order that was never paid.
+// Safe to call more than once: only the first call has any effect.
+export const releaseCouponUsage = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.redeemed': true },
+    { 'coupon.redeemed': false }
+  );
+  if (!claimed) return false;
+
+  await unredeemCoupon(claimed.coupon.coupon, claimed._id);
+  return true;
+};
+
+// Count the coupon again for an order that was paid after its use was released.
+// The customer has paid the discounted price, so neither limit is enforced here.
+export const reclaimCouponUsage = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.coupon': { $exists: true }, 'coupon.redeemed': false },
+    { 'coupon.redeemed': true }
+  );
+  if (!claimed) return false;
+
+  await Coupon.updateOne({ _id: claimed.coupon.coupon }, { $inc: { usedCount: 1 } });
+  await claimRedemptionSlot({ coupon: claimed.coupon.coupon, user: claimed.user, order: claimed._id });
+  return true;
+};
@@ -1,7 +1,16 @@
+import crypto from 'crypto';
+
 export const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+// Random token for links sent by email. Only the hash is stored, so the
+// token is looked up by hashing what comes back.
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
 };
 
-export const generateJWT = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+export const generateResetToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
 };
@@ -0,0 +1,173 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+
+// Recompute the stored stock totals and inStock flag from the current stock levels
+export const refreshInStock = (productId) => {
+  const hasVariants = { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] };
+
+  return Product.updateOne(
+    { _id: productId },
+    [
+      {
+        $set: {
+          stockQuantity: { $cond: [hasVariants, { $sum: '$variants.stockQuantity' }, '$stockQuantity'] },
+          reservedQuantity: { $cond: [hasVariants, { $sum: '$variants.reservedQuantity' }, '$reservedQuantity'] }
+        }
+      },
+      { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+    ]
+  );
+};
+
+// Build the filter and update paths for a product or one of its variants
+const stockTarget = (productId, variantId) => {
+  if (!variantId) {
+    return { filter: { _id: productId }, prefix: '' };
+  }
+  return {
+    filter: { _id: productId, 'variants._id': variantId },
+    prefix: 'variants.$.'
+  };
+};
+
+// Atomically move units from available stock into the reserved pool.
+// Returns false if there is not enough stock left.
+export const reserveStock = async (productId, quantity, variantId) => {
+  const { prefix } = stockTarget(productId, variantId);
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, stockQuantity: { $gte: quantity } } } }
+    : { _id: productId, stockQuantity: { $gte: quantity } };
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { [`${prefix}stockQuantity`]: -quantity, [`${prefix}reservedQuantity`]: quantity } },
+    { new: true }
+  );
+
+  if (!product) return false;
+
+  await refreshInStock(productId);
+  return true;
+};
+
+// Return reserved units to available stock
+export const releaseStock = async (productId, quantity, variantId) => {
+  const { filter, prefix } = stockTarget(productId, variantId);
+  await Product.updateOne(
+    filter,
+    { $inc: { [`${prefix}stockQuantity`]: quantity, [`${prefix}reservedQuantity`]: -quantity } }
+  );
+  await refreshInStock(productId);
+};
+
+// Reserved units leave the pool for good once they are sold
+const consumeReservedStock = async (productId, quantity, variantId) => {
+  const { filter, prefix } = stockTarget(productId, variantId);
+  await Product.updateOne(
+    filter,
+    { $inc: { [`${prefix}reservedQuantity`]: -quantity } }
+  );
+  await refreshInStock(productId);
+};
+
+// Put sold units back on the shelf (refunds, cancellations and returns)
+export const returnToStock = async (productId, quantity, variantId) => {
+  const { filter, prefix } = stockTarget(productId, variantId);
+  await Product.updateOne(
+    filter,
+    { $inc: { [`${prefix}stockQuantity`]: quantity } }
+  );
+  await refreshInStock(productId);
+};
+
+// Take units straight out of available stock for something sent without an
+// order of its own, such as an exchange replacement. Returns false if there is
+// not enough stock left.
+export const takeStock = async (productId, quantity, variantId) => {
+  const { prefix } = stockTarget(productId, variantId);
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, stockQuantity: { $gte: quantity } } } }
+    : { _id: productId, stockQuantity: { $gte: quantity } };
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { [`${prefix}stockQuantity`]: -quantity } },
+    { new: true }
+  );
+
+  if (!product) return false;
+
+  await refreshInStock(productId);
+  return true;
+};
+
+// Reserve every line item of an order, rolling back on the first failure.
+// Returns the item that could not be reserved, or null on success.
+export const reserveOrderItems = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const ok = await reserveStock(item.product, item.quantity, item.variant);
+    if (!ok) {
+      for (const done of reserved) {
+        await releaseStock(done.product, done.quantity, done.variant);
+      }
+      return item;
+    }
+    reserved.push(item);
+  }
+
+  return null;
+};
+
+// Mark an order's reserved stock as sold once the order is paid.
+// Safe to call more than once: only the first call has any effect.
+export const commitOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, inventoryStatus: 'reserved' },
+    { inventoryStatus: 'committed' }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.items) {
+    await consumeReservedStock(item.product, item.quantity, item.variant);
+  }
+
+  order.inventoryStatus = 'committed';
+  return true;
+};
+
+// Give the stock held by an unpaid order back to the shop.
+// Safe to call more than once: only the first call has any effect.
+export const releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, inventoryStatus: 'reserved' },
+    { inventoryStatus: 'released' }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.items) {
+    await releaseStock(item.product, item.quantity, item.variant);
+  }
+
+  order.inventoryStatus = 'released';
+  return true;
+};
+
+// Products created before stock tracking only have the inStock flag;
+// treat those as a single unit so they stay purchasable
+export const backfillLegacyStock = async () => {
+  const result = await Product.updateMany(
+    { stockQuantity: { $exists: false } },
+    [{
+      $set: {
+        stockQuantity: { $cond: ['$inStock', 1, 0] },
+        reservedQuantity: 0
+      }
+    }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`📦 Backfilled stock for ${result.modifiedCount} products`);
+  }
+};
@@ -0,0 +1,192 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.js';
+import Counter from '../models/Counter.js';
+import { orderItemName } from './orderItems.js';
+import { SELLER, INVOICE_PREFIX } from '../config/tax.js';
+
+// Indian financial years run April to March, e.g. '2025-26'
+export const getFinancialYear = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: 'numeric'
+  }).formatToParts(date);
+  const year = parseInt(parts.find(part => part.type === 'year').value);
+  const month = parseInt(parts.find(part => part.type === 'month').value);
+
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// Give a paid order the next invoice number of the current financial year.
+// Returns the order's invoice number (the existing one if it already had one).
+export const assignInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const invoiceDate = new Date();
+  const financialYear = getFinancialYear(invoiceDate);
+  const seq = await Counter.next(`invoice-${financialYear}`);
+  const invoiceNumber = `${INVOICE_PREFIX}/${financialYear}/${String(seq).padStart(5, '0')}`;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, invoiceNumber: null },
+    { invoiceNumber, invoiceDate },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Another request numbered this order first
+    const existing = await Order.findById(order._id).select('invoiceNumber invoiceDate');
+    order.invoiceNumber = existing.invoiceNumber;
+    order.invoiceDate = existing.invoiceDate;
+    return existing.invoiceNumber;
+  }
+
+  order.invoiceNumber = invoiceNumber;
+  order.invoiceDate = invoiceDate;
+  return invoiceNumber;
+};
+
+// Download name for an order's invoice PDF
+export const invoiceFilename = (order) => `invoice-${order.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+// The built-in PDF fonts have no rupee glyph
+const money = (amount) => `Rs. ${(amount || 0).toFixed(2)}`;
+
+// Render a GST tax invoice for an order from its stored line items.
+// Resolves with the PDF as a Buffer.
+export const generateInvoicePdf = (order) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const address = order.shippingAddress || {};
+
+    // Seller
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(SELLER.name);
+    doc.font('Helvetica').fontSize(9);
+    if (SELLER.address) doc.text(SELLER.address);
+    if (SELLER.state) doc.text(`State: ${SELLER.state}`);
+    if (SELLER.gstin) doc.text(`GSTIN: ${SELLER.gstin}`);
+    doc.text(`Email: ${SELLER.email}`);
+
+    // Invoice details
+    const detailsTop = doc.y + 10;
+    doc.font('Helvetica-Bold').text('Invoice No:', left, detailsTop, { continued: true })
+      .font('Helvetica').text(` ${order.invoiceNumber}`);
+    doc.font('Helvetica-Bold').text('Invoice Date:', { continued: true })
+      .font('Helvetica').text(` ${new Date(order.invoiceDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+    doc.font('Helvetica-Bold').text('Order ID:', { continued: true })
+      .font('Helvetica').text(` #${order._id.toString().slice(-8).toUpperCase()}`);
+    doc.font('Helvetica-Bold').text('Place of Supply:', { continued: true })
+      .font('Helvetica').text(` ${address.state || '-'}`);
+
+    // Buyer
+    doc.font('Helvetica-Bold').text('Bill To / Ship To', 320, detailsTop);
+    doc.font('Helvetica').text([
+      address.name,
+      address.address,
+      `${address.city || ''}, ${address.state || ''} ${address.pincode || ''}`,
+      address.country,
+      address.phone ? `Phone: ${address.phone}` : ''
+    ].filter(Boolean).join('\n'), 320, doc.y, { width: right - 320 });
+
+    // Line items
+    const interState = !!order.isInterState;
+    const columns = [
+      { label: '#', width: 20 },
+      { label: 'Item', width: 115 },
+      { label: 'HSN', width: 40 },
+      { label: 'Qty', width: 25, align: 'right' },
+      { label: 'Rate', width: 55, align: 'right' },
+      { label: 'Discount', width: 45, align: 'right' },
+      { label: 'Taxable', width: 60, align: 'right' },
+      ...(interState
+        ? [{ label: 'IGST', width: 90, align: 'right' }]
+        : [{ label: 'CGST', width: 45, align: 'right' }, { label: 'SGST', width: 45, align: 'right' }]),
+      { label: 'Total', width: 65, align: 'right' }
+    ];
+
+    const drawRow = (values, y, font = 'Helvetica') => {
+      doc.font(font).fontSize(8);
+      let x = left;
+      let height = 0;
+      values.forEach((value, index) => {
+        const { width, align = 'left' } = columns[index];
+        doc.text(String(value), x + 2, y, { width: width - 4, align });
+        height = Math.max(height, doc.heightOfString(String(value), { width: width - 4 }));
+        x += width;
+      });
+      return y + height + 6;
+    };
+
+    let y = Math.max(doc.y, detailsTop + 70) + 15;
+    doc.moveTo(left, y - 4).lineTo(right, y - 4).stroke();
+    y = drawRow(columns.map(column => column.label), y, 'Helvetica-Bold');
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+    order.items.forEach((item, index) => {
+      const taxable = item.taxableValue != null ? item.taxableValue : item.price * item.quantity;
+      const taxColumns = interState
+        ? [`${money(item.igst)}\n@ ${item.taxRate}%`]
+        : [`${money(item.cgst)}\n@ ${item.taxRate / 2}%`, `${money(item.sgst)}\n@ ${item.taxRate / 2}%`];
+
+      if (y > doc.page.height - 150) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+
+      y = drawRow([
+        index + 1,
+        `${orderItemName(item)}${item.sku ? `\nSKU: ${item.sku}` : ''}`,
+        item.hsnCode || '-',
+        item.quantity,
+        money(item.price),
+        money(item.discount),
+        money(taxable),
+        ...taxColumns,
+        money(taxable + (item.taxAmount || 0))
+      ], y);
+    });
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+    // Totals
+    const totals = [
+      ['Subtotal', money(order.subtotal)],
+      ...(order.discountAmount > 0
+        ? [[`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, `- ${money(order.discountAmount)}`]]
+        : []),
+      ['Taxable Value', money(order.taxableAmount)],
+      ...(interState
+        ? [['IGST', money(order.taxBreakdown.igst)]]
+        : [['CGST', money(order.taxBreakdown.cgst)], ['SGST', money(order.taxBreakdown.sgst)]]),
+      ['Shipping', order.shippingCost > 0 ? money(order.shippingCost) : 'Free'],
+      ...(order.codFee > 0 ? [['Cash on Delivery Fee', money(order.codFee)]] : []),
+      ['Grand Total', money(order.totalAmount)]
+    ];
+
+    y += 5;
+    totals.forEach(([label, value], index) => {
+      const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+      doc.font(font).fontSize(9);
+      doc.text(label, right - 220, y, { width: 120, align: 'right' });
+      doc.text(value, right - 95, y, { width: 95, align: 'right' });
+      y += 14;
+    });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#64748b')
+      .text('This is a computer-generated invoice and does not require a signature.', left, y + 30, {
+        width: right - left,
+        align: 'center'
+      });
+
+    doc.end();
+  });
+};
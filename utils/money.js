@@ -0,0 +1,2 @@
+// Round a rupee amount to whole paise
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
@@ -0,0 +1,56 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+// Product details copied into an order line when the order is placed, so the
+// order still reads correctly after the product is edited or deleted
+export const snapshotProduct = (product) => ({
+  name: product.name,
+  image: product.image,
+  category: product.category
+});
+
+// The URLs among urls that some order line still shows as its image
+export const findSnapshotImages = async (urls) => {
+  if (urls.length === 0) return new Set();
+  const images = await Order.distinct('items.image', { 'items.image': { $in: urls } });
+  return new Set(images);
+};
+
+// Name to show for an order line. Orders placed before snapshots were taken
+// fall back to the populated product, if it still exists.
+export const orderItemName = (item) => {
+  return item.name || (item.product && item.product.name) || 'Item';
+};
+
+// Populate options for the products behind an order's lines. A product deleted
+// since the order was placed comes back as { _id, deleted: true } instead of
+// null; the line's own snapshot still holds its name, image and category.
+export const populateOrderProducts = (select) => ({
+  path: 'items.product',
+  select,
+  transform: (product, id) => product || { _id: id, deleted: true }
+});
+
+// Fill in the snapshot for order lines placed before snapshots were taken.
+// Lines whose product is already gone get a null name so they are not retried.
+export const backfillOrderItemSnapshots = async () => {
+  const orders = Order.find({ items: { $elemMatch: { name: { $exists: false } } } })
+    .select('items')
+    .cursor();
+
+  let updated = 0;
+  for await (const order of orders) {
+    for (const item of order.items) {
+      if (item.name !== undefined) continue;
+
+      const product = await Product.findById(item.product).select('name image category');
+      Object.assign(item, product ? snapshotProduct(product) : { name: null });
+    }
+    await order.save();
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`🧾 Backfilled item details for ${updated} orders`);
+  }
+};
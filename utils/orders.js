@@ -0,0 +1,481 @@
+import Order from '../models/Order.js';
+import { sendOrderConfirmationEmail } from '../email.js';
+import { getPaymentProvider } from '../config/payment.js';
+import { reserveOrderItems, commitOrderStock, releaseOrderStock, returnToStock } from './inventory.js';
+import { releaseCouponUsage, reclaimCouponUsage } from './coupons.js';
+import { assignInvoiceNumber, generateInvoicePdf } from './invoice.js';
+import { roundMoney } from './money.js';
+
+// Allowed order status changes. Paid and refunded states are only reached
+// through payment events and the refund flow, never set by hand.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'failed', 'cancelled', 'expired'],
+  // Cash on delivery orders skip payment and start out confirmed
+  confirmed: ['processing', 'cancelled'],
+  failed: ['paid', 'cancelled'],
+  // A payment can still be captured after the order expired
+  expired: ['paid'],
+  paid: ['processing', 'cancelled', 'partially_refunded', 'refunded'],
+  processing: ['partially_shipped', 'shipped', 'cancelled', 'partially_refunded', 'refunded'],
+  // Some items are on their way while others are still being prepared
+  partially_shipped: ['shipped', 'delivered', 'partially_refunded', 'refunded'],
+  shipped: ['delivered', 'partially_refunded', 'refunded'],
+  delivered: ['partially_refunded', 'refunded'],
+  partially_refunded: ['processing', 'partially_shipped', 'shipped', 'delivered', 'refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+export const canTransition = (from, to) => {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Build a statusHistory entry; actor is the user who made the change, if any
+export const statusHistoryEntry = (from, status, { actor, actorType = 'system', note = '' } = {}) => ({
+  status,
+  from,
+  actor,
+  actorType,
+  note,
+  createdAt: new Date()
+});
+
+// Atomically move an order to a new status and record it in the history.
+// Any other changes in update are applied in the same write.
+// Returns the updated order, or null if the change is not allowed or the
+// order changed status in the meantime.
+export const transitionOrderStatus = async (order, status, { update = {}, ...options } = {}) => {
+  if (!canTransition(order.status, status)) return null;
+
+  const { $push, ...fields } = update;
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      ...fields,
+      status,
+      updatedAt: new Date(),
+      $push: { ...$push, statusHistory: statusHistoryEntry(order.status, status, options) }
+    },
+    { new: true }
+  );
+};
+
+// Statuses from which an order can still be refunded
+export const REFUNDABLE_STATUSES = ['paid', 'processing', 'partially_shipped', 'shipped', 'delivered', 'partially_refunded'];
+
+// Statuses of orders that were paid for, and so have (or can be given) an invoice
+const INVOICEABLE_STATUSES = [...REFUNDABLE_STATUSES, 'refunded'];
+
+// Whether an order can be given an invoice number. Cash on delivery orders are
+// numbered once the cash is collected, so ones cancelled before delivery leave
+// no gap in the GST invoice series.
+export const canInvoice = (order) => (order.paymentMethod === 'cod'
+  ? Boolean(order.codCollection && order.codCollection.collectedAt)
+  : INVOICEABLE_STATUSES.includes(order.status));
+
+// Append a line to the order's internal notes
+export const withNote = (notes, note) => (notes ? `${notes}\n${note}` : note);
+
+// Give back everything an unpaid order was holding: its stock and its coupon use.
+// Safe to call more than once.
+export const releaseOrderHolds = async (order) => {
+  await releaseOrderStock(order);
+  await releaseCouponUsage(order);
+};
+
+// Number the invoice and commit the stock of a freshly paid order
+const commitPaidOrder = async (paidOrder) => {
+  await assignInvoiceNumber(paidOrder);
+
+  // Holds are released when an order fails or expires, so take the coupon back
+  await reclaimCouponUsage(paidOrder);
+
+  // A retry can succeed after an earlier attempt failed and gave the stock back
+  if (paidOrder.inventoryStatus === 'released') {
+    const unavailableItem = await reserveOrderItems(paidOrder.items);
+    if (unavailableItem) {
+      console.error('Paid order is missing stock:', paidOrder._id.toString());
+      paidOrder.notes = withNote(paidOrder.notes, 'Paid after its stock was released; check availability before shipping.');
+      await paidOrder.save();
+      return paidOrder;
+    }
+    paidOrder.inventoryStatus = 'reserved';
+    await paidOrder.save();
+  }
+
+  await commitOrderStock(paidOrder);
+  return paidOrder;
+};
+
+// Move a pending (or previously failed or expired) order to paid and commit its stock.
+// Returns the updated order, or null if the order was already past that point.
+// Both verify-payment and the Razorpay webhook go through here, in either order.
+export const markOrderPaid = async (order, { paymentId, signature }) => {
+  const update = {
+    status: 'paid',
+    razorpayPaymentId: paymentId,
+    updatedAt: new Date()
+  };
+  if (signature) update.razorpaySignature = signature;
+
+  for (const from of ['pending', 'failed', 'expired']) {
+    update.$push = { statusHistory: statusHistoryEntry(from, 'paid', { note: `Payment ${paymentId || 'received'}` }) };
+
+    const paidOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      update,
+      { new: true }
+    );
+    if (paidOrder) return commitPaidOrder(paidOrder);
+  }
+
+  return null;
+};
+
+// Move a pending order to failed and give its stock back.
+// Returns the updated order, or null if the order was no longer pending.
+export const markOrderFailed = async (order, reason) => {
+  const update = {
+    status: 'failed',
+    updatedAt: new Date(),
+    $push: { statusHistory: statusHistoryEntry('pending', 'failed', { note: reason || '' }) }
+  };
+  if (reason) update.notes = withNote(order.notes, `Payment failed: ${reason}`);
+
+  const failedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'pending' },
+    update,
+    { new: true }
+  );
+  if (!failedOrder) return null;
+
+  await releaseOrderHolds(failedOrder);
+  return failedOrder;
+};
+
+// Send the order confirmation email at most once per order.
+// The send is claimed atomically and un-claimed if the email fails, so a later call can retry.
+export const sendOrderConfirmationOnce = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, confirmationEmailSentAt: null },
+    { confirmationEmailSentAt: new Date() },
+    { new: true }
+  );
+  if (!order) return false;
+
+  try {
+    // Attaching the invoice is opt-in; customers can always download it from their orders
+    const invoicePdf = process.env.ATTACH_INVOICE_PDF === 'true' && order.invoiceNumber
+      ? await generateInvoicePdf(order)
+      : undefined;
+
+    const result = await sendOrderConfirmationEmail(
+      order.shippingAddress.email,
+      order.shippingAddress.name,
+      order,
+      { invoicePdf }
+    );
+    if (!result.success) throw new Error(result.error);
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send order confirmation email:', emailError);
+    await Order.updateOne({ _id: orderId }, { $unset: { confirmationEmailSentAt: 1 } });
+    return false;
+  }
+};
+
+// Total refunded so far, counting refunds that are still being processed
+export const getRefundedAmount = (order) => {
+  return roundMoney(order.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+// Move an order that has just had a refund recorded to refunded or
+// partially_refunded, depending on how much of its total has now been paid
+// back. Cancelled orders stay cancelled. Returns the order as it now stands.
+export const settleRefundStatus = async (order, options) => {
+  if (order.status === 'cancelled') return order;
+
+  const status = roundMoney(order.totalAmount - getRefundedAmount(order)) <= 0 ? 'refunded' : 'partially_refunded';
+  if (status === order.status) return order;
+
+  return await transitionOrderStatus(order, status, options) || Order.findById(order._id);
+};
+
+// What one unit of a line item cost the customer, including its GST.
+// Orders from before per-line tax get a share of the amount charged instead.
+export const getUnitChargedAmount = (order, orderItem) => {
+  if (orderItem.taxableValue != null) {
+    return (orderItem.taxableValue + orderItem.taxAmount) / orderItem.quantity;
+  }
+
+  const lineNet = (item) => item.price * item.quantity - (item.discount || 0);
+  const netSubtotal = order.items.reduce((sum, item) => sum + lineNet(item), 0);
+  return netSubtotal > 0 ? order.totalAmount * lineNet(orderItem) / orderItem.quantity / netSubtotal : 0;
+};
+
+// A refund claims its order while the payment provider is called. Claims older
+// than this were left by a process that stopped mid-refund and no longer block.
+const REFUND_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Refund an order through its payment provider, either in full or for selected line items
+// ([{ itemId, quantity }]). Returns { order, refund }, or { error } (with status 409
+// when another refund got there first) for requests that cannot go ahead.
+// Paid orders that were cancelled can be refunded too; they stay cancelled.
+export const refundOrder = async (order, { items, reason, refundedBy, restock = false }) => {
+  const isCancelled = order.status === 'cancelled';
+  if ((!REFUNDABLE_STATUSES.includes(order.status) && !isCancelled) || !order.razorpayPaymentId) {
+    return { error: `Orders that are ${order.status} cannot be refunded` };
+  }
+
+  const remaining = roundMoney(order.totalAmount - getRefundedAmount(order));
+  if (remaining <= 0) {
+    return { error: 'Order is already fully refunded' };
+  }
+
+  const isPartial = Array.isArray(items) && items.length > 0;
+  const refundItems = [];
+
+  if (isPartial) {
+    for (const { itemId, quantity } of items) {
+      const orderItem = order.items.id(itemId);
+      if (!orderItem) {
+        return { error: `Item not found in this order: ${itemId}` };
+      }
+      const refundable = orderItem.quantity - orderItem.refundedQuantity;
+      if (quantity > refundable) {
+        return { error: `Only ${refundable} unit(s) of this item can still be refunded: ${itemId}` };
+      }
+      refundItems.push({
+        orderItem: orderItem._id,
+        quantity,
+        amount: roundMoney(getUnitChargedAmount(order, orderItem) * quantity)
+      });
+    }
+  } else {
+    for (const orderItem of order.items) {
+      const refundable = orderItem.quantity - orderItem.refundedQuantity;
+      if (refundable > 0) {
+        refundItems.push({ orderItem: orderItem._id, quantity: refundable });
+      }
+    }
+  }
+
+  const amount = isPartial
+    ? Math.min(roundMoney(refundItems.reduce((sum, item) => sum + item.amount, 0)), remaining)
+    : remaining;
+
+  if (amount <= 0) {
+    return { error: 'Nothing left to refund' };
+  }
+
+  // Claim the refund before calling the provider, so two refunds (or a refund
+  // and a cancellation) cannot both pass the checks above. The claim holds the
+  // item quantities and only succeeds if no refund was recorded in the meantime.
+  const claimedAt = new Date();
+  const quantityUpdate = (sign) => {
+    if (refundItems.length === 0) return {};
+
+    const inc = {};
+    const arrayFilters = [];
+    refundItems.forEach((refundItem, index) => {
+      inc[`items.$[line${index}].refundedQuantity`] = sign * refundItem.quantity;
+      arrayFilters.push({ [`line${index}._id`]: refundItem.orderItem });
+    });
+    return { update: { $inc: inc }, arrayFilters };
+  };
+  const held = quantityUpdate(1);
+
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      refunds: { $size: order.refunds.length },
+      $or: [
+        { 'refundClaim.claimedAt': null },
+        { 'refundClaim.claimedAt': { $lt: new Date(claimedAt.getTime() - REFUND_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { refundClaim: { amount, claimedAt }, updatedAt: claimedAt },
+      ...held.update
+    },
+    { new: true, arrayFilters: held.arrayFilters }
+  );
+  if (!claimed) {
+    return { error: 'Order changed or is already being refunded, please reload and try again', status: 409 };
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await getPaymentProvider(order.paymentProvider).refund(order.razorpayPaymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      notes: {
+        orderId: order._id.toString(),
+        reason: reason || ''
+      }
+    });
+  } catch (error) {
+    // Nothing was refunded, so give the claim back
+    const released = quantityUpdate(-1);
+    await Order.updateOne(
+      { _id: order._id, 'refundClaim.claimedAt': claimedAt },
+      { $unset: { refundClaim: 1 }, ...released.update },
+      { arrayFilters: released.arrayFilters }
+    );
+    throw error;
+  }
+
+  const entry = {
+    razorpayRefundId: gatewayRefund.id,
+    amount,
+    reason: reason || '',
+    items: isPartial ? refundItems : [],
+    refundedBy,
+    status: gatewayRefund.status,
+    processedAt: gatewayRefund.status === 'processed' ? new Date() : undefined
+  };
+
+  // The webhook may have recorded this refund already; fill in what it did not know
+  const pushed = await Order.updateOne(
+    { _id: order._id, 'refunds.razorpayRefundId': { $ne: gatewayRefund.id } },
+    { $push: { refunds: entry } }
+  );
+  if (pushed.modifiedCount === 0) {
+    await Order.updateOne(
+      { _id: order._id, 'refunds.razorpayRefundId': gatewayRefund.id },
+      {
+        $set: {
+          'refunds.$.reason': entry.reason,
+          'refunds.$.items': entry.items,
+          'refunds.$.refundedBy': refundedBy
+        }
+      }
+    );
+  }
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'refundClaim.claimedAt': claimedAt },
+    { $unset: { refundClaim: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ) || await Order.findById(order._id);
+
+  updated = await settleRefundStatus(updated, {
+    actor: refundedBy,
+    actorType: refundedBy ? 'admin' : 'system',
+    note: `Refunded ₹${amount.toFixed(2)}${reason ? `: ${reason}` : ''}`
+  });
+
+  if (restock) {
+    for (const refundItem of refundItems) {
+      const orderItem = order.items.id(refundItem.orderItem);
+      await returnToStock(orderItem.product._id || orderItem.product, refundItem.quantity, orderItem.variant);
+    }
+  }
+
+  const refund = updated.refunds.find(refund => refund.razorpayRefundId === gatewayRefund.id);
+  return { order: updated, refund };
+};
+
+// Orders a customer can still cancel: anything that has not shipped yet
+export const CANCELLABLE_STATUSES = ['pending', 'failed', 'paid', 'confirmed', 'processing'];
+
+// Cancel an order before it ships. Unpaid orders give back their stock and coupon;
+// paid orders are also refunded in full and their stock is put back on the shelf.
+// Returns { order, refund }, { order, refundError } if the order was cancelled but
+// the refund failed, or { error, status } when it cannot be cancelled.
+export const cancelOrder = async (order, { reason, actor, actorType = 'customer' }) => {
+  if (!CANCELLABLE_STATUSES.includes(order.status)) {
+    return { status: 400, error: `Orders that are ${order.status} can no longer be cancelled` };
+  }
+
+  // A pending online order may have been paid without us hearing about it yet
+  if (order.status === 'pending' && order.paymentMethod !== 'cod' && order.razorpayOrderId) {
+    let payments;
+    try {
+      payments = await getPaymentProvider(order.paymentProvider).fetchOrderPayments(order.razorpayOrderId);
+    } catch (error) {
+      console.error(`Failed to check payments for order ${order._id}:`, error);
+      return { status: 503, error: 'Could not check the payment for this order, please try again shortly' };
+    }
+
+    if (payments.some(payment => payment.status === 'authorized')) {
+      return { status: 409, error: 'A payment for this order is still being processed, please try again shortly' };
+    }
+
+    const captured = payments.find(payment => payment.status === 'captured');
+    if (captured) {
+      await markOrderPaid(order, { paymentId: captured.id });
+      order = await Order.findById(order._id);
+    }
+  }
+
+  const cancelled = await transitionOrderStatus(order, 'cancelled', {
+    actor,
+    actorType,
+    note: reason || ''
+  });
+  if (!cancelled) {
+    return { status: 409, error: 'Order status changed in the meantime, please reload and try again' };
+  }
+
+  await releaseOrderHolds(cancelled);
+
+  if (!cancelled.razorpayPaymentId) {
+    return { order: cancelled };
+  }
+
+  try {
+    const result = await refundOrder(cancelled, {
+      reason: `Order cancelled${reason ? `: ${reason}` : ''}`,
+      // Only stock that was actually taken for the order goes back
+      restock: cancelled.inventoryStatus === 'committed'
+    });
+    if (result.error) throw new Error(result.error);
+    return result;
+  } catch (refundError) {
+    console.error(`Refund failed for cancelled order ${cancelled._id}:`, refundError);
+    cancelled.notes = withNote(cancelled.notes, `Cancelled but the refund failed (${refundError.message}); refund manually.`);
+    await cancelled.save();
+    return { order: cancelled, refundError: refundError.message };
+  }
+};
+
+// Refund a payment that was captured after its order had been cancelled, so the
+// customer is not charged for an order they will never get.
+// Returns { order, refund }, { order, refundError } if staff need to refund it by
+// hand, or null if the payment is already known or the order is not cancelled.
+export const refundLateCapture = async (order, { paymentId }) => {
+  if (order.status !== 'cancelled' || order.razorpayPaymentId === paymentId) return null;
+
+  // The refund flow refunds the order's payment, so it can only take over when
+  // the order has no other payment on record
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'cancelled', razorpayPaymentId: null },
+    {
+      razorpayPaymentId: paymentId,
+      notes: withNote(order.notes, `Payment ${paymentId} captured after the order was cancelled.`),
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  try {
+    if (!claimed) {
+      const current = await Order.findById(order._id);
+      if (current.razorpayPaymentId === paymentId) return null;
+      throw new Error(`the order already has payment ${current.razorpayPaymentId}`);
+    }
+
+    const result = await refundOrder(claimed, { reason: 'Payment received after the order was cancelled' });
+    if (result.error) throw new Error(result.error);
+    return result;
+  } catch (refundError) {
+    console.error(`Refund failed for late payment ${paymentId} on order ${order._id}:`, refundError);
+    const flagged = await Order.findById(order._id);
+    flagged.notes = withNote(flagged.notes, `Payment ${paymentId} could not be refunded automatically (${refundError.message}); refund manually.`);
+    await flagged.save();
+    return { order: flagged, refundError: refundError.message };
+  }
+};
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { signaturesMatch, normalizeRazorpayEvent } from './razorpay.js';
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Ids shaped like Razorpay's, e.g. order_Nf3kZ1q8XyTb2L
+const mockId = (prefix) => {
+  const bytes = crypto.randomBytes(14);
+  return `${prefix}_${Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('')}`;
+};
+
+// Offline payment provider for development and automated tests. It speaks the
+// same wire format as Razorpay (ids, checkout signatures, webhook bodies), so
+// the routes cannot tell the difference. State lives in memory only.
+export const createMockProvider = () => {
+  const keySecret = process.env.MOCK_PAYMENT_SECRET || 'mock_key_secret';
+  const webhookSecret = process.env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+  const orders = new Map();
+  const payments = new Map();
+
+  const sign = (value, secret) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+  return {
+    name: 'mock',
+    publicKey: 'rzp_test_mock',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes }) {
+      const order = { id: mockId('order'), amount, currency, receipt, notes };
+      orders.set(order.id, order);
+      return { id: order.id, amount, currency };
+    },
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      return signaturesMatch(sign(`${orderId}|${paymentId}`, keySecret), signature);
+    },
+
+    async fetchPayment(paymentId) {
+      const payment = payments.get(paymentId);
+      if (!payment) throw new Error(`Mock payment not found: ${paymentId}`);
+      return { ...payment };
+    },
+
+    async fetchOrderPayments(orderId) {
+      return [...payments.values()]
+        .filter(payment => payment.orderId === orderId)
+        .map(payment => ({ ...payment }));
+    },
+
+    // Payments from before a restart are unknown and refunded as if captured
+    async refund(paymentId, { amount }) {
+      const payment = payments.get(paymentId);
+      if (payment && payment.status !== 'captured') {
+        throw new Error(`Mock payment cannot be refunded: ${paymentId}`);
+      }
+      return { id: mockId('rfnd'), amount, status: 'processed' };
+    },
+
+    parseWebhook({ rawBody, headers, body }) {
+      const signature = headers['x-razorpay-signature'];
+      if (!signature || !rawBody) return null;
+      if (!signaturesMatch(sign(rawBody, webhookSecret), signature)) return null;
+
+      return normalizeRazorpayEvent(headers['x-razorpay-event-id'], body);
+    },
+
+    // Stand-in for the Checkout popup: pay (or fail) a mock order and return
+    // what Checkout would hand the browser.
+    simulatePayment(orderId, { fail = false } = {}) {
+      const order = orders.get(orderId);
+      if (!order) return null;
+
+      const payment = {
+        id: mockId('pay'),
+        orderId,
+        status: fail ? 'failed' : 'captured',
+        amount: order.amount
+      };
+      payments.set(payment.id, payment);
+
+      if (fail) {
+        return {
+          error: {
+            description: 'Payment declined by the mock provider',
+            metadata: { order_id: orderId, payment_id: payment.id }
+          }
+        };
+      }
+
+      return {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: sign(`${orderId}|${payment.id}`, keySecret)
+      };
+    },
+
+    // Sign a webhook body the way the mock expects, for tests
+    signWebhook(rawBody) {
+      return sign(rawBody, webhookSecret);
+    }
+  };
+};
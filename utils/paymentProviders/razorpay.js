@@ -0,0 +1,123 @@
+import Razorpay from 'razorpay';
+import crypto from 'crypto';
+
+// Compare two hex signatures without leaking timing information
+export const signaturesMatch = (expectedSignature, signature) => {
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Turn a Razorpay webhook body into a provider-neutral event:
+// { id, type, orderId, paymentId, amount, failureReason, refund }.
+// Amounts are in paise. Events we do not act on get type 'ignored'.
+export const normalizeRazorpayEvent = (eventId, body) => {
+  const { event, payload } = body || {};
+  const payment = payload?.payment?.entity;
+
+  switch (event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        id: eventId,
+        type: 'payment.captured',
+        orderId: payment?.order_id || payload?.order?.entity?.id,
+        paymentId: payment?.id,
+        amount: payment?.amount
+      };
+
+    case 'payment.failed':
+      return {
+        id: eventId,
+        type: 'payment.failed',
+        orderId: payment?.order_id,
+        paymentId: payment?.id,
+        failureReason: payment?.error_description
+      };
+
+    case 'refund.processed': {
+      const refund = payload?.refund?.entity;
+      return {
+        id: eventId,
+        type: refund ? 'refund.processed' : 'ignored',
+        refund: refund && {
+          id: refund.id,
+          paymentId: refund.payment_id,
+          amount: refund.amount
+        }
+      };
+    }
+
+    default:
+      return { id: eventId, type: 'ignored', event };
+  }
+};
+
+// Payment provider backed by the Razorpay API
+export const createRazorpayProvider = () => {
+  let client;
+  // Created on first use so the server can start without keys when another provider is used
+  const getClient = () => {
+    if (!client) {
+      client = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'razorpay',
+    publicKey: process.env.RAZORPAY_KEY_ID,
+
+    // Amount is in paise
+    async createOrder({ amount, currency = 'INR', receipt, notes }) {
+      const order = await getClient().orders.create({ amount, currency, receipt, notes });
+      return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    // Check the signature Razorpay Checkout returns after a successful payment
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+        .update(`${orderId}|${paymentId}`)
+        .digest('hex');
+      return signaturesMatch(expectedSignature, signature);
+    },
+
+    async fetchPayment(paymentId) {
+      const payment = await getClient().payments.fetch(paymentId);
+      return { id: payment.id, orderId: payment.order_id, status: payment.status, amount: payment.amount };
+    },
+
+    // Payments made against an order; status is created, authorized, captured, refunded or failed
+    async fetchOrderPayments(orderId) {
+      const result = await getClient().orders.fetchPayments(orderId);
+      return (result.items || []).map(payment => ({
+        id: payment.id,
+        orderId: payment.order_id,
+        status: payment.status,
+        amount: payment.amount
+      }));
+    },
+
+    // Refund a captured payment. Amount is in paise; status is pending, processed or failed.
+    async refund(paymentId, { amount, notes }) {
+      const refund = await getClient().payments.refund(paymentId, { amount, notes });
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    // Verify and decode a webhook delivery. Returns null if the signature is not valid.
+    parseWebhook({ rawBody, headers, body }) {
+      const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+      const signature = headers['x-razorpay-signature'];
+      if (!secret || !signature || !rawBody) return null;
+
+      const expectedSignature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+      if (!signaturesMatch(expectedSignature, signature)) return null;
+
+      return normalizeRazorpayEvent(headers['x-razorpay-event-id'], body);
+    }
+  };
+};
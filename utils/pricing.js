@@ -0,0 +1,168 @@
+import Product from '../models/Product.js';
+import { evaluateCoupon } from './coupons.js';
+import { applyTax } from './tax.js';
+import { calculateShipping } from './shipping.js';
+import { snapshotProduct } from './orderItems.js';
+import { roundMoney } from './money.js';
+
+export const MAX_ORDER_ITEMS = 20;
+export const MAX_ITEM_QUANTITY = 10;
+
+// Validate requested cart items against the catalogue and price them from the
+// product (or chosen variant). Never trusts prices or sizes sent by the client.
+// Returns { orderItems, products, subtotal, itemErrors } where products[i] is the
+// product behind orderItems[i]. Items that cannot be bought are left out and
+// listed in itemErrors as { index, productId, variantId, message }; error is then
+// set to the first of those messages. A cart that is invalid as a whole only
+// gets { error }.
+export const priceOrderItems = async (items) => {
+  let subtotal = 0;
+  const orderItems = [];
+  const products = [];
+  const itemErrors = [];
+
+  if (items.length > MAX_ORDER_ITEMS) {
+    return { error: 'Too many items in order' };
+  }
+
+  for (const [index, item] of items.entries()) {
+    const itemError = (message) => itemErrors.push({
+      index,
+      productId: item.productId,
+      variantId: item.variantId,
+      message
+    });
+
+    const quantity = parseInt(item.quantity);
+    if (quantity > MAX_ITEM_QUANTITY) {
+      itemError('Quantity too high for item');
+      continue;
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      itemError(`Product not found: ${item.productId}`);
+      continue;
+    }
+    if (product.archivedAt) {
+      itemError(`Product no longer available: ${product.name}`);
+      continue;
+    }
+
+    // Products with variants must be bought as one of their variants
+    let variant = null;
+    if (product.variants.length > 0) {
+      if (!item.variantId) {
+        itemError(`Please select an option for: ${product.name}`);
+        continue;
+      }
+      variant = product.variants.id(item.variantId);
+      if (!variant) {
+        itemError(`Selected option not available for: ${product.name}`);
+        continue;
+      }
+    } else if (item.variantId) {
+      itemError(`Product has no options: ${product.name}`);
+      continue;
+    }
+
+    // Without variants, a size may only be one of the sizes listed on the product
+    let selectedSize = variant ? variant.options.get('size') || '' : '';
+    if (!variant && item.selectedSize) {
+      const sizes = product.size.split(',').map(size => size.trim().toLowerCase()).filter(Boolean);
+      if (!sizes.includes(String(item.selectedSize).trim().toLowerCase())) {
+        itemError(`Invalid size for: ${product.name}`);
+        continue;
+      }
+      selectedSize = String(item.selectedSize).trim();
+    }
+
+    const available = variant ? variant.stockQuantity : product.stockQuantity;
+    if (available < quantity) {
+      itemError(available > 0
+        ? `Only ${available} left in stock: ${product.name}`
+        : `Product out of stock: ${product.name}`);
+      continue;
+    }
+
+    // Use discount price if available and valid, otherwise use regular price
+    const { price: effectivePrice, originalPrice } = product.getPricing(variant);
+
+    subtotal += effectivePrice * quantity;
+
+    orderItems.push({
+      product: product._id,
+      ...snapshotProduct(product),
+      quantity,
+      price: effectivePrice, // Store the actual price paid
+      originalPrice, // Store original price for reference
+      selectedSize,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantOptions: variant ? Object.fromEntries(variant.options) : undefined
+    });
+    products.push(product);
+  }
+
+  subtotal = roundMoney(subtotal);
+  if (itemErrors.length > 0) {
+    return { error: itemErrors[0].message, orderItems, products, subtotal, itemErrors };
+  }
+  return { orderItems, products, subtotal, itemErrors };
+};
+
+// Work out everything a customer would pay for a cart delivered to an address:
+// line prices, coupon discount, GST and shipping. Shared by the checkout quote
+// and create-order so the two can never disagree.
+// Returns { orderItems, products, itemErrors, subtotal, coupon, couponError,
+// discountAmount, tax, shipping, totalAmount }, or { error } for an invalid cart.
+// Items listed in itemErrors are left out of the totals.
+export const quoteOrder = async ({ items, shippingAddress, couponCode, user }) => {
+  const pricing = await priceOrderItems(items);
+  if (pricing.error && !pricing.itemErrors) {
+    return { error: pricing.error };
+  }
+  const { orderItems, products, itemErrors, subtotal } = pricing;
+
+  // Apply the coupon server-side; the client only sends the code
+  let coupon = null;
+  let couponError = null;
+  let discountAmount = 0;
+  if (couponCode && orderItems.length > 0) {
+    const result = await evaluateCoupon(couponCode, { user, orderItems, products, subtotal });
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      coupon = result.coupon;
+      discountAmount = result.discountAmount;
+      result.lineDiscounts.forEach((discount, index) => {
+        orderItems[index].discount = discount;
+      });
+    }
+  }
+
+  // Add GST per line item at its category rate
+  const tax = applyTax(
+    orderItems,
+    products.map(product => product.category),
+    shippingAddress.state
+  );
+
+  // Shipping by delivery zone and parcel weight; free above the threshold
+  const shipping = orderItems.length > 0
+    ? calculateShipping({ orderItems, products, shippingAddress, orderValue: tax.taxableAmount })
+    : { shippingCost: 0, zone: null, chargeableWeight: 0, freeShipping: false };
+
+  return {
+    orderItems,
+    products,
+    itemErrors,
+    subtotal,
+    coupon,
+    couponError,
+    discountAmount,
+    tax,
+    shipping,
+    totalAmount: roundMoney(tax.taxableAmount + tax.taxAmount + shipping.shippingCost)
+  };
+};
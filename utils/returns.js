@@ -0,0 +1,333 @@
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { RETURN_WINDOW_DAYS } from '../config/returns.js';
+import { statusHistoryEntry, refundOrder, getUnitChargedAmount, settleRefundStatus, withNote } from './orders.js';
+import { returnToStock, takeStock } from './inventory.js';
+import { populateOrderProducts } from './orderItems.js';
+import { roundMoney } from './money.js';
+
+// Allowed return status changes. Items can be rejected on inspection even
+// after the request was approved.
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded', 'exchanged'],
+  rejected: [],
+  refunded: [],
+  exchanged: []
+};
+
+export const canTransitionReturn = (from, to) => {
+  return (RETURN_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Order statuses from which items can be returned
+export const RETURNABLE_ORDER_STATUSES = ['delivered', 'partially_refunded'];
+
+// Returns that still hold on to their items, so they cannot be returned twice.
+// Refunded returns are counted through the items' refundedQuantity instead.
+const ITEM_HOLDING_RETURN_STATUSES = ['requested', 'approved', 'received', 'exchanged'];
+
+// Returns still waiting on a decision, the parcel or the refund
+export const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+// A return request that crashed mid-way stops blocking new ones after this long
+const RETURN_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Short reference shown to customers, like the order numbers
+export const returnNumber = (returnRequest) => returnRequest._id.toString().slice(-8).toUpperCase();
+
+// When the order was last marked delivered, or null if it never was
+export const getDeliveredAt = (order) => {
+  const delivered = [...order.statusHistory].reverse().find(entry => entry.status === 'delivered');
+  return delivered ? delivered.createdAt : null;
+};
+
+// Last moment a return can be requested for an order, or null if it has not been delivered
+export const getReturnDeadline = (order) => {
+  const deliveredAt = getDeliveredAt(order);
+  if (!deliveredAt) return null;
+  return new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Query for orders whose return window is still open
+export const returnableOrdersFilter = (now = new Date()) => ({
+  status: { $in: RETURNABLE_ORDER_STATUSES },
+  statusHistory: {
+    $elemMatch: {
+      status: 'delivered',
+      createdAt: { $gte: new Date(now.getTime() - RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+    }
+  }
+});
+
+// Why items of this order cannot be returned right now, or null if they can
+export const getReturnIneligibility = (order, now = new Date()) => {
+  const deadline = getReturnDeadline(order);
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status) || !deadline) {
+    return 'Items can only be returned once the order has been delivered';
+  }
+  if (now > deadline) {
+    return `The ${RETURN_WINDOW_DAYS} day return window for this order closed on ${deadline.toDateString()}`;
+  }
+  return null;
+};
+
+// Units of each line item that can still be returned, keyed by order item id
+export const getReturnableQuantities = async (order) => {
+  const openReturns = await ReturnRequest.find({
+    order: order._id,
+    status: { $in: ITEM_HOLDING_RETURN_STATUSES }
+  }).select('items');
+
+  const returnable = new Map();
+  for (const orderItem of order.items) {
+    returnable.set(orderItem._id.toString(), orderItem.quantity - (orderItem.refundedQuantity || 0));
+  }
+  for (const returnRequest of openReturns) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItem.toString();
+      if (returnable.has(key)) returnable.set(key, returnable.get(key) - item.quantity);
+    }
+  }
+  return returnable;
+};
+
+// Id of the product behind an order line, populated or not. A product deleted
+// since the order populates as null, so fall back to the id populate replaced.
+const productIdOf = (order, orderItem) => {
+  const product = orderItem.product;
+  if (product) return product._id || product;
+
+  const ids = order.populated('items.product');
+  return ids ? ids[order.items.indexOf(orderItem)] : null;
+};
+
+// Check the requested items ([{ itemId, quantity, exchangeVariantId }]) against the order.
+// Returns { items } ready for a ReturnRequest, or { error }.
+export const buildReturnItems = async (order, requestedItems, { type }) => {
+  const returnable = await getReturnableQuantities(order);
+  const seen = new Set();
+  const items = [];
+
+  for (const { itemId, quantity, exchangeVariantId } of requestedItems) {
+    const orderItem = order.items.id(itemId);
+    if (!orderItem) {
+      return { error: `Item not found in this order: ${itemId}` };
+    }
+    if (seen.has(itemId)) {
+      return { error: `Item listed more than once: ${itemId}` };
+    }
+    seen.add(itemId);
+
+    const available = returnable.get(orderItem._id.toString());
+    if (quantity > available) {
+      return { error: `Only ${Math.max(available, 0)} unit(s) of this item can be returned: ${itemId}` };
+    }
+
+    const product = orderItem.product;
+    const item = {
+      orderItem: orderItem._id,
+      product: productIdOf(order, orderItem),
+      variant: orderItem.variant,
+      sku: orderItem.sku,
+      quantity
+    };
+
+    if (type === 'exchange' && exchangeVariantId) {
+      if (!product || product.deleted || !product.variants || !product.variants.id(exchangeVariantId)) {
+        return { error: `Exchange option not found for this item: ${itemId}` };
+      }
+      item.exchangeVariant = exchangeVariantId;
+    }
+
+    items.push(item);
+  }
+
+  return { items };
+};
+
+// Check the requested items against the order and save the return request.
+// The order is claimed while its returnable quantities are read and the return
+// is saved, so two requests for the same order cannot both take the same units.
+// fields are the other ReturnRequest fields (user, type, reason, ...).
+// Returns { returnRequest } or { error, status }.
+export const createReturnRequest = async (order, requestedItems, fields) => {
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { returnClaimedAt: null },
+        { returnClaimedAt: { $lt: new Date(claimedAt.getTime() - RETURN_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { returnClaimedAt: claimedAt } }
+  );
+  if (!claimed) {
+    return { error: 'Another return for this order is being processed, please try again shortly', status: 409 };
+  }
+
+  try {
+    // Refunds and other returns may have changed the order since it was loaded
+    const current = await Order.findById(order._id).populate(populateOrderProducts());
+    const built = await buildReturnItems(current, requestedItems, { type: fields.type });
+    if (built.error) return { error: built.error, status: 400 };
+
+    const returnRequest = await ReturnRequest.create({ ...fields, order: order._id, items: built.items });
+    return { returnRequest };
+  } finally {
+    await Order.updateOne(
+      { _id: order._id, returnClaimedAt: claimedAt },
+      { $unset: { returnClaimedAt: 1 } }
+    );
+  }
+};
+
+// Atomically move a return to a new status and record it in the history.
+// Returns the updated return, or null if the change is not allowed or the
+// return changed status in the meantime.
+export const transitionReturnStatus = async (returnRequest, status, { update = {}, ...options } = {}) => {
+  if (!canTransitionReturn(returnRequest.status, status)) return null;
+
+  return ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    {
+      ...update,
+      status,
+      $push: { statusHistory: statusHistoryEntry(returnRequest.status, status, options) }
+    },
+    { new: true }
+  );
+};
+
+// Put the returned units back on the shelf once they arrive
+export const restockReturnItems = async (returnRequest) => {
+  for (const item of returnRequest.items) {
+    await returnToStock(item.product, item.quantity, item.variant);
+  }
+};
+
+// Take the replacement units of an exchange out of stock, all or nothing.
+// Returns the item that is out of stock, or null on success.
+export const takeExchangeStock = async (returnRequest) => {
+  const taken = [];
+
+  for (const item of returnRequest.items) {
+    const variant = item.exchangeVariant || item.variant;
+    const ok = await takeStock(item.product, item.quantity, variant);
+    if (!ok) {
+      for (const done of taken) {
+        await returnToStock(done.product, done.quantity, done.exchangeVariant || done.variant);
+      }
+      return item;
+    }
+    taken.push(item);
+  }
+
+  return null;
+};
+
+// Give back replacement stock taken by takeExchangeStock
+export const releaseExchangeStock = async (returnRequest) => {
+  for (const item of returnRequest.items) {
+    await returnToStock(item.product, item.quantity, item.exchangeVariant || item.variant);
+  }
+};
+
+// Refund the items of a received return. Online payments are refunded through
+// the payment provider; cash on delivery orders are paid back by hand, so the
+// admin gives the payout reference and the items are only marked as refunded.
+// Returns { refund, orderRefund } or { error }. orderRefund is set for online refunds.
+export const refundReturnItems = async (returnRequest, order, { refundedBy, reference }) => {
+  const reason = `Return #${returnNumber(returnRequest)}`;
+
+  if (order.razorpayPaymentId) {
+    const result = await refundOrder(order, {
+      items: returnRequest.items.map(item => ({ itemId: item.orderItem, quantity: item.quantity })),
+      reason,
+      refundedBy
+    });
+    if (result.error) return { error: result.error, status: result.status };
+
+    return {
+      orderRefund: result.refund,
+      refund: {
+        amount: result.refund.amount,
+        razorpayRefundId: result.refund.razorpayRefundId,
+        refundedAt: new Date()
+      }
+    };
+  }
+
+  if (!reference) {
+    return { error: 'Orders not paid online are refunded by hand; give the payout reference' };
+  }
+
+  let amount = 0;
+  const refundItems = [];
+  for (const item of returnRequest.items) {
+    const orderItem = order.items.id(item.orderItem);
+    if (!orderItem || item.quantity > orderItem.quantity - orderItem.refundedQuantity) {
+      return { error: `Item was already refunded: ${item.orderItem}` };
+    }
+    const itemAmount = roundMoney(getUnitChargedAmount(order, orderItem) * item.quantity);
+    refundItems.push({ orderItem: orderItem._id, quantity: item.quantity, amount: itemAmount });
+    amount += itemAmount;
+  }
+  amount = roundMoney(amount);
+
+  // Record the payout and the refunded units in one write, and only if no other
+  // refund was recorded since the order was read
+  const now = new Date();
+  const inc = {};
+  const arrayFilters = [];
+  refundItems.forEach((refundItem, index) => {
+    inc[`items.$[line${index}].refundedQuantity`] = refundItem.quantity;
+    arrayFilters.push({ [`line${index}._id`]: refundItem.orderItem });
+  });
+  const entry = {
+    reference,
+    amount,
+    reason,
+    items: refundItems,
+    refundedBy,
+    status: 'processed',
+    processedAt: now
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      refunds: { $size: order.refunds.length },
+      'refundClaim.claimedAt': null
+    },
+    {
+      $inc: inc,
+      $push: { refunds: entry },
+      $set: {
+        notes: withNote(order.notes, `${reason} refunded by hand: ₹${amount.toFixed(2)} (${reference})`),
+        updatedAt: now
+      }
+    },
+    { new: true, arrayFilters }
+  );
+  if (!updated) {
+    return { error: 'Order changed or is already being refunded, please reload and try again', status: 409 };
+  }
+
+  await settleRefundStatus(updated, {
+    actor: refundedBy,
+    actorType: 'admin',
+    note: `Refunded ₹${amount.toFixed(2)} by hand: ${reason}`
+  });
+
+  return {
+    refund: {
+      amount,
+      reference,
+      refundedAt: now
+    }
+  };
+};
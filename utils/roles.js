@@ -0,0 +1,32 @@
+import User from '../models/User.js';
+import { ROLES, ROLE_PERMISSIONS, BOOTSTRAP_OWNER_EMAILS } from '../config/roles.js';
+
+export const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (user, permission) => {
+  return !!user && getPermissions(user.role).includes(permission);
+};
+
+// Roles that grant a permission
+export const rolesWith = (permission) => ROLES.filter(role => getPermissions(role).includes(permission));
+
+// Addresses of the staff who should hear about something, e.g. new returns
+export const staffEmailsWith = async (permission) => {
+  const staff = await User.find({ role: { $in: rolesWith(permission) } }, 'email');
+  return staff.map(user => user.email);
+};
+
+// Give the ADMIN_EMAILS accounts the owner role unless they already have one.
+// Only ever adds roles, so owners demoted in the app stay demoted.
+export const bootstrapOwners = async () => {
+  if (BOOTSTRAP_OWNER_EMAILS.length === 0) return;
+
+  const result = await User.updateMany(
+    { email: { $in: BOOTSTRAP_OWNER_EMAILS }, role: null, roleAssignedAt: null },
+    { $set: { role: 'owner', roleAssignedAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Made ${result.modifiedCount} account(s) from ADMIN_EMAILS owners`);
+  }
+};
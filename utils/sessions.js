@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { hashToken } from './generateCode.js';
+import {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_TOUCH_INTERVAL_MINUTES
+} from '../config/auth.js';
+
+// Old refresh tokens kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// "Chrome on Windows" style label for the sessions list
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser || platform) return (browser || platform)[0];
+  return 'Unknown device';
+};
+
+const newRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  return { refreshToken, refreshTokenHash: hashToken(refreshToken) };
+};
+
+export const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` });
+};
+
+// Start a session for a user who just logged in.
+// Returns the session, its refresh token and a first access token.
+export const createSession = async (user, req) => {
+  const { refreshToken, refreshTokenHash } = newRefreshToken();
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    lastIp: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken, accessToken: signAccessToken(user._id, session._id) };
+};
+
+// Swap a refresh token for a new one and a new access token. The old token
+// is claimed atomically, so two requests with the same token cannot both
+// succeed, and a token that was already swapped revokes the whole session.
+// Returns { session, refreshToken, accessToken } or { error, reused }.
+export const rotateSession = async (refreshToken, req) => {
+  const presentedHash = hashToken(refreshToken);
+  const now = new Date();
+  const { refreshToken: nextToken, refreshTokenHash } = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash, lastSeenAt: now, lastIp: req.ip },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken, accessToken: signAccessToken(session.user, session._id) };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: presentedHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } },
+    { new: true }
+  );
+  if (reused) {
+    console.warn(`Refresh token reuse detected, revoked session ${reused._id} of user ${reused.user}`);
+    return { error: 'This session was signed out for your security. Please log in again.', reused: true };
+  }
+
+  return { error: 'Session expired, please log in again', reused: false };
+};
+
+// Session an access token belongs to, if it is still active
+export const findActiveSession = (sessionId, userId) => {
+  return Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Record that a session is in use, at most every few minutes
+export const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < SESSION_TOUCH_INTERVAL_MINUTES * 60 * 1000) return;
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), lastIp: req.ip } });
+};
+
+export const revokeSessionByRefreshToken = (refreshToken, reason) => {
+  return Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Sign a user out of every device, or every device but one
+export const revokeUserSessions = (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
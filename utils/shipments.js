@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { CARRIERS, DEFAULT_TRANSIT_DAYS } from '../config/carriers.js';
+import { shipmentTracker } from '../config/tracking.js';
+import { canTransition, statusHistoryEntry, transitionOrderStatus } from './orders.js';
+import { commitOrderStock } from './inventory.js';
+import { sendDeliveryEmail } from '../email.js';
+
+// Shipment states the carrier can still move on from
+export const OPEN_SHIPMENT_STATUSES = ['in_transit', 'out_for_delivery', 'exception'];
+
+// Order statuses from which items can be handed to a carrier
+export const SHIPPABLE_STATUSES = ['processing', 'partially_shipped', 'partially_refunded'];
+
+// Order statuses that follow from where the line items are
+const FULFILMENT_STATUSES = ['partially_shipped', 'shipped', 'delivered'];
+
+// Public tracking page for a parcel, if the carrier has one
+export const buildTrackingUrl = (carrier, awb) => {
+  const template = CARRIERS[carrier] && CARRIERS[carrier].trackingUrl;
+  return template ? template.replace('{awb}', encodeURIComponent(awb)) : undefined;
+};
+
+// A new shipment record for an order, filling in the tracking link and
+// expected delivery date when the admin leaves them out
+export const buildShipment = ({ carrier, awb, trackingUrl, shippedAt, expectedDeliveryAt, createdBy }) => {
+  const shipped = shippedAt ? new Date(shippedAt) : new Date();
+
+  return {
+    carrier,
+    awb,
+    trackingUrl: trackingUrl || buildTrackingUrl(carrier, awb),
+    shippedAt: shipped,
+    expectedDeliveryAt: expectedDeliveryAt
+      ? new Date(expectedDeliveryAt)
+      : new Date(shipped.getTime() + DEFAULT_TRANSIT_DAYS * 24 * 60 * 60 * 1000),
+    createdBy
+  };
+};
+
+// Lines that still have to reach the customer; fully refunded lines never ship
+const linesToFulfil = (items) => items.filter(item => (item.refundedQuantity || 0) < item.quantity);
+
+// The order status that follows from its line items: delivered once every
+// line has arrived, shipped once every line is on its way, partially_shipped
+// while some are still waiting, and null if nothing has shipped yet
+export const deriveFulfilmentStatus = (items) => {
+  const lines = linesToFulfil(items);
+  if (lines.length === 0 || lines.every(item => item.fulfilmentStatus === 'unfulfilled')) return null;
+  if (lines.every(item => item.fulfilmentStatus === 'delivered')) return 'delivered';
+  if (lines.every(item => item.fulfilmentStatus !== 'unfulfilled')) return 'shipped';
+  return 'partially_shipped';
+};
+
+// Hand some of an order's line items (all the unshipped ones if itemIds is
+// empty) to a carrier. The items are marked shipped and the order status is
+// worked out again, all in one write.
+// Returns { order, shipment } or { status, error }.
+export const addShipment = async (order, { itemIds, ...details }, { actor, note } = {}) => {
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    return { status: 400, error: `Orders that are ${order.status} cannot be shipped` };
+  }
+
+  let lines;
+  if (itemIds && itemIds.length > 0) {
+    lines = [];
+    for (const itemId of itemIds) {
+      const orderItem = order.items.id(itemId);
+      if (!orderItem) {
+        return { status: 400, error: `Item not found in this order: ${itemId}` };
+      }
+      if (orderItem.fulfilmentStatus !== 'unfulfilled') {
+        return { status: 400, error: `Item has already been shipped: ${itemId}` };
+      }
+      if (orderItem.refundedQuantity >= orderItem.quantity) {
+        return { status: 400, error: `Item was refunded and will not ship: ${itemId}` };
+      }
+      lines.push(orderItem);
+    }
+  } else {
+    lines = linesToFulfil(order.items).filter(item => item.fulfilmentStatus === 'unfulfilled');
+    if (lines.length === 0) {
+      return { status: 400, error: 'Every item of this order has already been shipped' };
+    }
+  }
+
+  const lineIds = lines.map(item => item._id);
+  const shipment = {
+    _id: new mongoose.Types.ObjectId(),
+    ...buildShipment({ ...details, createdBy: actor }),
+    items: lineIds
+  };
+
+  const status = deriveFulfilmentStatus(order.items.map(item => ({
+    quantity: item.quantity,
+    refundedQuantity: item.refundedQuantity,
+    fulfilmentStatus: lineIds.some(id => id.equals(item._id)) ? 'shipped' : item.fulfilmentStatus
+  })));
+
+  const update = {
+    $set: {
+      'items.$[line].fulfilmentStatus': 'shipped',
+      'items.$[line].shipment': shipment._id,
+      updatedAt: new Date()
+    },
+    $push: { shipments: shipment }
+  };
+
+  if (status !== order.status) {
+    if (!canTransition(order.status, status)) {
+      return { status: 400, error: `Cannot change order status from ${order.status} to ${status}` };
+    }
+    update.$set.status = status;
+    update.$push.statusHistory = statusHistoryEntry(order.status, status, {
+      actor,
+      actorType: 'admin',
+      note: note || `Shipped with ${CARRIERS[details.carrier]?.name || details.carrier} (${details.awb})`
+    });
+  }
+
+  // Only claim the items if nobody shipped them in the meantime
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      items: { $not: { $elemMatch: { _id: { $in: lineIds }, fulfilmentStatus: { $ne: 'unfulfilled' } } } }
+    },
+    update,
+    { new: true, arrayFilters: [{ 'line._id': { $in: lineIds } }] }
+  );
+
+  if (!updated) {
+    return { status: 409, error: 'Order changed in the meantime, please reload and try again' };
+  }
+
+  // Cash on delivery orders hold their stock until the first parcel leaves
+  await commitOrderStock(updated);
+
+  return { order: updated, shipment: updated.shipments.id(shipment._id) };
+};
+
+// Mark every line that has not got that far yet as shipped or delivered, for
+// orders whose status an admin sets by hand
+export const markItemsFulfilled = async (order, fulfilmentStatus) => {
+  const behind = fulfilmentStatus === 'delivered' ? ['unfulfilled', 'shipped'] : ['unfulfilled'];
+  const set = { 'items.$[line].fulfilmentStatus': fulfilmentStatus };
+  if (fulfilmentStatus === 'delivered') set['items.$[line].deliveredAt'] = new Date();
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: set },
+    { arrayFilters: [{ 'line.fulfilmentStatus': { $in: behind } }] }
+  );
+};
+
+// Ask the tracking adapter where each open shipment of an order is and store
+// the answer. Items in delivered parcels are marked delivered and the order
+// status is worked out again; the customer gets the delivery email once
+// everything has arrived.
+// Returns the up to date order and whether this call delivered it.
+export const syncOrderTracking = async (order) => {
+  if (!shipmentTracker) {
+    throw new Error('Shipment tracking is not configured');
+  }
+
+  for (const shipment of order.shipments) {
+    if (!OPEN_SHIPMENT_STATUSES.includes(shipment.status)) continue;
+
+    const tracking = await shipmentTracker.track({
+      carrier: shipment.carrier,
+      awb: shipment.awb,
+      shippedAt: shipment.shippedAt,
+      expectedDeliveryAt: shipment.expectedDeliveryAt
+    });
+
+    const set = {
+      'shipments.$.status': tracking.status,
+      'shipments.$.events': tracking.events,
+      'shipments.$.lastCheckedAt': new Date()
+    };
+    if (tracking.expectedDeliveryAt) set['shipments.$.expectedDeliveryAt'] = tracking.expectedDeliveryAt;
+    if (tracking.deliveredAt) set['shipments.$.deliveredAt'] = tracking.deliveredAt;
+
+    await Order.updateOne({ _id: order._id, 'shipments._id': shipment._id }, { $set: set });
+
+    if (tracking.status === 'delivered') {
+      // Shipments from before items were tracked carry the whole order
+      const lineFilter = shipment.items.length > 0
+        ? { 'line.shipment': shipment._id, 'line.fulfilmentStatus': 'shipped' }
+        : { 'line.fulfilmentStatus': { $in: ['unfulfilled', 'shipped'] } };
+
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            'items.$[line].fulfilmentStatus': 'delivered',
+            'items.$[line].deliveredAt': tracking.deliveredAt || new Date()
+          }
+        },
+        { arrayFilters: [lineFilter] }
+      );
+    }
+  }
+
+  const updated = await Order.findById(order._id);
+  const status = deriveFulfilmentStatus(updated.items);
+
+  if (!status || status === updated.status || !canTransition(updated.status, status) ||
+      // Never move an order back, e.g. from delivered to shipped
+      FULFILMENT_STATUSES.indexOf(status) < FULFILMENT_STATUSES.indexOf(updated.status)) {
+    return { order: updated, delivered: false };
+  }
+
+  const transitioned = await transitionOrderStatus(updated, status, {
+    note: status === 'delivered'
+      ? `Delivered by ${updated.shipments.map(shipment => `${CARRIERS[shipment.carrier]?.name || shipment.carrier} ${shipment.awb}`).join(', ')}`
+      : 'Updated from carrier tracking'
+  });
+  if (!transitioned || status !== 'delivered') {
+    return { order: transitioned || updated, delivered: false };
+  }
+
+  try {
+    await sendDeliveryEmail(
+      transitioned.shippingAddress.email,
+      transitioned.shippingAddress.name,
+      transitioned
+    );
+  } catch (emailError) {
+    console.error('Failed to send delivery email:', emailError);
+  }
+
+  return { order: transitioned, delivered: true };
+};
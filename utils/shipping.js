@@ -0,0 +1,64 @@
+import {
+  FREE_SHIPPING_THRESHOLD,
+  WEIGHT_SLAB_GRAMS,
+  VOLUMETRIC_DIVISOR,
+  SHIPPING_ZONES,
+  SHIPPING_CLASS_SURCHARGE,
+  CATEGORY_SHIPPING_DEFAULTS,
+  DEFAULT_SHIPPING
+} from '../config/shipping.js';
+import { normalizeState } from './tax.js';
+import { roundMoney } from './money.js';
+
+// First zone whose pincode prefixes or states match the address
+export const getShippingZone = ({ pincode, state } = {}) => {
+  const pin = String(pincode || '').trim();
+  const normalizedState = normalizeState(state);
+
+  return SHIPPING_ZONES.find(zone =>
+    zone.pincodePrefixes.some(prefix => pin.startsWith(prefix)) ||
+    zone.states.some(zoneState => normalizeState(zoneState) === normalizedState)
+  ) || SHIPPING_ZONES[SHIPPING_ZONES.length - 1];
+};
+
+// Weight in grams a courier bills for one unit: the greater of actual and volumetric weight
+export const getChargeableWeight = (product) => {
+  const defaults = CATEGORY_SHIPPING_DEFAULTS[product.category] || DEFAULT_SHIPPING;
+  const actual = product.weight || defaults.weight;
+
+  const { length, width, height } = product.dimensions || {};
+  const volumetric = length && width && height
+    ? length * width * height / VOLUMETRIC_DIVISOR * 1000
+    : 0;
+
+  return Math.max(actual, volumetric);
+};
+
+const getShippingClass = (product) => {
+  const defaults = CATEGORY_SHIPPING_DEFAULTS[product.category] || DEFAULT_SHIPPING;
+  return product.shippingClass || defaults.shippingClass;
+};
+
+// Shipping for a priced cart (see priceOrderItems) delivered to an address.
+// orderValue is the item value after discounts, used for the free-shipping threshold.
+// Returns { shippingCost, zone, chargeableWeight, freeShipping }.
+export const calculateShipping = ({ orderItems, products, shippingAddress, orderValue }) => {
+  const zone = getShippingZone(shippingAddress);
+
+  let weight = 0;
+  let surcharge = 0;
+  orderItems.forEach((item, index) => {
+    weight += getChargeableWeight(products[index]) * item.quantity;
+    surcharge += (SHIPPING_CLASS_SURCHARGE[getShippingClass(products[index])] || 0) * item.quantity;
+  });
+
+  const slabs = Math.max(Math.ceil(weight / WEIGHT_SLAB_GRAMS), 1);
+  const freeShipping = FREE_SHIPPING_THRESHOLD > 0 && orderValue >= FREE_SHIPPING_THRESHOLD;
+
+  return {
+    shippingCost: freeShipping ? 0 : roundMoney(zone.baseRate + (slabs - 1) * zone.additionalRate + surcharge),
+    zone: zone.name,
+    chargeableWeight: Math.round(weight),
+    freeShipping
+  };
+};
@@ -0,0 +1,65 @@
+import { SELLER_STATE, CATEGORY_TAX, DEFAULT_TAX } from '../config/tax.js';
+import { roundMoney } from './money.js';
+
+// Compare state names loosely, e.g. 'Jammu & Kashmir' and 'jammu and kashmir'
+export const normalizeState = (state) => String(state || '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z]+/g, ' ')
+  .trim();
+
+// Orders shipped outside the seller's state are inter-state (IGST).
+// Without a configured seller state every order is treated as inter-state.
+export const isInterStateSupply = (shippingState) => {
+  if (!SELLER_STATE) return true;
+  return normalizeState(shippingState) !== normalizeState(SELLER_STATE);
+};
+
+// HSN code and GST rate (percent) for one unit of a category at a given taxable value
+export const getTaxRule = (category, unitTaxableValue) => {
+  const rule = CATEGORY_TAX[category] || DEFAULT_TAX;
+  const slab = rule.slabs.find(entry => entry.upTo === undefined || unitTaxableValue <= entry.upTo);
+  return { hsnCode: rule.hsnCode, rate: slab.rate };
+};
+
+// Work out GST for each priced line item (see priceOrderItems) after coupon
+// discounts, writing hsnCode, taxRate, taxableValue, cgst, sgst, igst and
+// taxAmount onto each item. categories[i] is the category of orderItems[i].
+// Returns the order-level totals.
+export const applyTax = (orderItems, categories, shippingState) => {
+  const interState = isInterStateSupply(shippingState);
+  const totals = { taxableAmount: 0, cgst: 0, sgst: 0, igst: 0, taxAmount: 0 };
+
+  orderItems.forEach((item, index) => {
+    const taxableValue = roundMoney(item.price * item.quantity - (item.discount || 0));
+    const { hsnCode, rate } = getTaxRule(categories[index], taxableValue / item.quantity);
+    const tax = roundMoney(taxableValue * rate / 100);
+
+    // Split intra-state tax evenly; CGST takes the odd paisa so the halves add up
+    const sgst = interState ? 0 : roundMoney(Math.floor(tax * 100 / 2) / 100);
+    const cgst = interState ? 0 : roundMoney(tax - sgst);
+    const igst = interState ? tax : 0;
+
+    Object.assign(item, {
+      hsnCode,
+      taxRate: rate,
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      taxAmount: tax
+    });
+
+    totals.taxableAmount += taxableValue;
+    totals.cgst += cgst;
+    totals.sgst += sgst;
+    totals.igst += igst;
+    totals.taxAmount += tax;
+  });
+
+  for (const key of Object.keys(totals)) {
+    totals[key] = roundMoney(totals[key]);
+  }
+
+  return { ...totals, isInterState: interState };
+};
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { TWO_FACTOR_ISSUER, TOTP_WINDOW, RECOVERY_CODE_COUNT } from '../config/auth.js';
+import { hashToken } from './generateCode.js';
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// 6 digits, 30 second steps, HMAC-SHA1
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// One code for a counter value (RFC 4226)
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateTotp = (secret, now = Date.now()) => {
+  return hotp(base32Decode(secret), Math.floor(now / 1000 / STEP_SECONDS));
+};
+
+// The time step a code belongs to, or null if it is wrong. Callers store the
+// step and refuse codes from it or earlier, so a code cannot be replayed.
+export const verifyTotp = (secret, code, now = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Link the authenticator app reads from the QR code
+export const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// TOTP secrets have to be read back, so they are encrypted rather than hashed
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are shown once; only their hashes are kept
+export const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+export const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    return crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-');
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,53 @@
+import { numberFromEnv } from '../../config/env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offline tracking adapter for development. It makes no network calls and
+// reports a believable journey worked out from the ship and expected delivery
+// dates, so the same shipment always gives the same answer. Tracking numbers
+// starting with EXC report a delivery exception and RTO a return to sender.
+//
+// Every adapter implements
+//   track({ carrier, awb, shippedAt, expectedDeliveryAt }) ->
+//     { status, expectedDeliveryAt, deliveredAt, events: [{ status, description, location, occurredAt }] }
+// with status one of in_transit, out_for_delivery, delivered, exception, returned.
+export const createStubTracker = () => {
+  const transitDays = numberFromEnv('STUB_TRACKER_TRANSIT_DAYS', 3);
+
+  return {
+    name: 'stub',
+
+    async track({ awb, shippedAt, expectedDeliveryAt, now = new Date() }) {
+      const start = new Date(shippedAt);
+      const due = expectedDeliveryAt ? new Date(expectedDeliveryAt) : new Date(start.getTime() + transitDays * DAY_MS);
+      const milestone = (fraction) => new Date(start.getTime() + (due.getTime() - start.getTime()) * fraction);
+
+      const timeline = [
+        { status: 'in_transit', description: 'Shipment picked up', location: 'Origin hub', occurredAt: start },
+        { status: 'in_transit', description: 'In transit', location: 'Sorting centre', occurredAt: milestone(0.5) }
+      ];
+
+      const code = String(awb).toUpperCase();
+      if (code.startsWith('EXC')) {
+        timeline.push({ status: 'exception', description: 'Delivery attempted, customer not available', location: 'Destination hub', occurredAt: milestone(0.9) });
+      } else if (code.startsWith('RTO')) {
+        timeline.push({ status: 'returned', description: 'Returned to sender', location: 'Origin hub', occurredAt: milestone(0.9) });
+      } else {
+        timeline.push(
+          { status: 'out_for_delivery', description: 'Out for delivery', location: 'Destination hub', occurredAt: milestone(0.9) },
+          { status: 'delivered', description: 'Delivered', location: 'Destination', occurredAt: due }
+        );
+      }
+
+      const events = timeline.filter(event => event.occurredAt <= now);
+      const latest = events[events.length - 1];
+
+      return {
+        status: latest ? latest.status : 'in_transit',
+        expectedDeliveryAt: due,
+        deliveredAt: latest && latest.status === 'delivered' ? latest.occurredAt : undefined,
+        events
+      };
+    }
+  };
+};
@@ -0,0 +1,38 @@
+import User from '../models/User.js';
+import { verifyTotp, decryptSecret, hashRecoveryCode } from './totp.js';
+
+// Fields holding two-factor secrets, which are not selected by default
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes';
+
+// Check an authenticator code or a recovery code for a user loaded with
+// TWO_FACTOR_SECRET_FIELDS. Codes are used up atomically, so the same code
+// cannot get through twice, even in parallel requests.
+// Returns 'totp', 'recovery_code' or null.
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+
+  return null;
+};